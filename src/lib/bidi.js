@@ -0,0 +1,112 @@
+import { BIDI_CLASS_RANGES } from './data/bidi_class.js';
+import { rangeValue } from './ranges.js';
+
+/**
+ * Bidirectional text helpers - Bidi_Class lookups (UAX #9) for grapheme clusters.
+ */
+
+const STRONG_RTL = new Set(['R', 'AL']);
+const NUMBER = new Set(['EN', 'AN']);
+const EMBEDDINGS = new Set(['LRE', 'RLE', 'LRO', 'RLO']);
+const OVERRIDES = new Set(['LRO', 'RLO']);
+const ISOLATES = new Set(['LRI', 'RLI', 'FSI']);
+
+/**
+ * Returns the Bidi_Class of a grapheme cluster, taken from its first code point.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {string} The Bidi_Class abbreviation, such as 'L', 'R', 'AL' or 'EN'
+ */
+const bidiClass = (grapheme) =>
+  rangeValue(BIDI_CLASS_RANGES, grapheme.codePointAt(0)) ?? 'L';
+
+/**
+ * Checks whether a Bidi_Class is strongly right-to-left.
+ * @param {string} cls - A Bidi_Class abbreviation
+ * @returns {boolean} true for R and AL
+ */
+const isRtl = (cls) => STRONG_RTL.has(cls);
+
+/**
+ * Checks whether a Bidi_Class is a European or Arabic number.
+ * @param {string} cls - A Bidi_Class abbreviation
+ * @returns {boolean} true for EN and AN
+ */
+const isNumber = (cls) => NUMBER.has(cls);
+
+/**
+ * Finds the direction of the first strong character (UAX #9 rules P2 and P3), skipping
+ * characters between an isolate initiator and its matching PDI.
+ * @param {Array<string>} classes - Bidi_Class of each grapheme cluster
+ * @returns {string} 'ltr', 'rtl', or 'neutral' if there is no strong character
+ */
+const firstStrongDirection = (classes) => {
+  let depth = 0;
+  for (const cls of classes) {
+    if (ISOLATES.has(cls)) depth++;
+    else if (cls === 'PDI' && depth > 0) depth--;
+    else if (cls === 'B') depth = 0;
+    else if (depth === 0 && cls === 'L') return 'ltr';
+    else if (depth === 0 && isRtl(cls)) return 'rtl';
+  }
+  return 'neutral';
+};
+
+/**
+ * Finds the direction of the majority of strong characters, falling back to the
+ * first strong direction on a tie.
+ * @param {Array<string>} classes - Bidi_Class of each grapheme cluster
+ * @returns {string} 'ltr', 'rtl', or 'neutral' if there is no strong character
+ */
+const dominantDirection = (classes) => {
+  let balance = 0;
+  for (const cls of classes) {
+    if (cls === 'L') balance++;
+    else if (isRtl(cls)) balance--;
+  }
+  if (balance === 0) return firstStrongDirection(classes);
+  return balance > 0 ? 'ltr' : 'rtl';
+};
+
+/**
+ * Matches the explicit embedding, override and isolate controls (UAX #9 rules X1-X8)
+ * and describes each one. Embeddings and overrides end at a matching PDF, at the PDI
+ * closing an enclosing isolate, or at the end of the paragraph; isolates end at a
+ * matching PDI or at the end of the paragraph.
+ * @param {Array<string>} classes - Bidi_Class of each grapheme cluster
+ * @returns {Array<{position: number, type: string, issue: string|null}>} One entry per
+ *   control, with issue 'unterminated' (opened but never closed), 'unmatched' (closes
+ *   nothing), 'override' (a balanced LRO or RLO, which reorders the characters it
+ *   spans) or null
+ */
+const matchBidiControls = (classes) => {
+  const controls = [];
+  let open = [];
+  const terminate = (entries) => {
+    for (const control of entries) control.issue = 'unterminated';
+  };
+  classes.forEach((cls, position) => {
+    if (EMBEDDINGS.has(cls) || ISOLATES.has(cls)) {
+      const control = { position, type: cls, issue: OVERRIDES.has(cls) ? 'override' : null };
+      controls.push(control);
+      open.push(control);
+    } else if (cls === 'PDF') {
+      const matched = open.length > 0 && EMBEDDINGS.has(open.at(-1).type);
+      if (matched) open.pop();
+      controls.push({ position, type: cls, issue: matched ? null : 'unmatched' });
+    } else if (cls === 'PDI') {
+      const isolate = open.map(control => ISOLATES.has(control.type)).lastIndexOf(true);
+      if (isolate !== -1) {
+        terminate(open.slice(isolate + 1));
+        open = open.slice(0, isolate);
+      }
+      controls.push({ position, type: cls, issue: isolate === -1 ? 'unmatched' : null });
+    } else if (cls === 'B') {
+      terminate(open);
+      open = [];
+    }
+  });
+  terminate(open);
+  return controls;
+};
+
+export { bidiClass, isRtl, isNumber, firstStrongDirection, dominantDirection, matchBidiControls };
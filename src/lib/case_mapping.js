@@ -0,0 +1,69 @@
+import { CASE_FOLDING } from './data/case_folding.js';
+import { TITLECASE } from './data/titlecase.js';
+
+/**
+ * Case mapping helpers - full Unicode case folding (CaseFolding.txt) for caseless
+ * matching and titlecasing, on top of the native lowercase and uppercase mappings.
+ */
+
+/**
+ * Builds a Map from a flat list of [code point, string] pairs.
+ * @param {Array<number|string>} pairs - The flat pair list
+ * @returns {Map<number, string>} The mapping
+ */
+const toMap = (pairs) => {
+  const map = new Map();
+  for (let i = 0; i < pairs.length; i += 2) map.set(pairs[i], pairs[i + 1]);
+  return map;
+};
+
+const caseFoldings = toMap(CASE_FOLDING);
+const titlecases = toMap(TITLECASE);
+
+/**
+ * Applies full case folding to a string, code point by code point. Unlike
+ * toLowerCase(), folding is context-free and maps case variants such as ß and ẞ,
+ * or σ and ς, to a single form.
+ * @param {string} str - The string to fold
+ * @returns {string} The folded string
+ * @example
+ * foldCase("Straße")  // "strasse"
+ */
+const foldCase = (str) => {
+  let folded = '';
+  for (const char of str) {
+    folded += caseFoldings.get(char.codePointAt(0)) ?? char.toLowerCase();
+  }
+  return folded;
+};
+
+/**
+ * Titlecases a grapheme cluster: its first code point takes the titlecase mapping,
+ * falling back to locale-aware uppercasing, and any combining marks are kept as-is.
+ * @param {string} grapheme - A single grapheme cluster
+ * @param {string|string[]} [locale] - Locale or array of locales
+ * @returns {string} The titlecased grapheme
+ * @example
+ * titleCaseGrapheme("\u01F3")      // "\u01F2"
+ * titleCaseGrapheme("i", "tr")     // "\u0130"
+ */
+const titleCaseGrapheme = (grapheme, locale) => {
+  const cp = grapheme.codePointAt(0);
+  if (cp === undefined) return grapheme;
+  const first = String.fromCodePoint(cp);
+  const title = titlecases.get(cp) ?? first.toLocaleUpperCase(locale);
+  return title + grapheme.slice(first.length);
+};
+
+/**
+ * Checks whether a locale is Dutch, where a word-initial "ij" is titlecased as the
+ * digraph "IJ".
+ * @param {string|string[]} [locale] - Locale or array of locales
+ * @returns {boolean} true if the first locale's language is Dutch
+ */
+const isDutch = (locale) => {
+  const [tag] = Intl.getCanonicalLocales(locale ?? []);
+  return tag !== undefined && new Intl.Locale(tag).language === 'nl';
+};
+
+export { foldCase, titleCaseGrapheme, isDutch };
@@ -0,0 +1,55 @@
+import { hasSkinTone, isFlag, isKeycap, isRgiEmoji, isZwjSequence } from './emoji.js';
+
+/**
+ * Classification helpers - structured information about a grapheme cluster, for
+ * rendering and moderation code that would otherwise re-derive it with ad-hoc regexes.
+ */
+
+const GENERAL_CATEGORIES = [
+  'Lu', 'Ll', 'Lt', 'Lm', 'Lo', 'Mn', 'Mc', 'Me', 'Nd', 'Nl', 'No',
+  'Pc', 'Pd', 'Ps', 'Pe', 'Pi', 'Pf', 'Po', 'Sm', 'Sc', 'Sk', 'So',
+  'Zs', 'Zl', 'Zp', 'Cc', 'Cf', 'Cs', 'Co'
+].map(category => [category, new RegExp(`^\\p{gc=${category}}`, 'u')]);
+
+const MARK = /^\p{M}$/u;
+
+/**
+ * Returns the General_Category of the first code point of a string.
+ * @param {string} str - A non-empty string
+ * @returns {string} The two-letter category, 'Cn' for unassigned code points
+ */
+const generalCategory = (str) => {
+  for (const [category, regex] of GENERAL_CATEGORIES) {
+    if (regex.test(str)) return category;
+  }
+  return 'Cn';
+};
+
+/**
+ * Classifies a grapheme cluster.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {Object} grapheme, codePoints, generalCategory (of the base), base, marks
+ *   (the combining marks, including variation selectors and the keycap mark), and the
+ *   isRgiEmoji, isFlag, isKeycap, hasSkinTone and isZwjSequence flags
+ * @example
+ * classifyGrapheme("e\u0301")
+ * // { grapheme: "e\u0301", codePoints: [0x65, 0x301], generalCategory: "Ll", base: "e",
+ * //   marks: ["\u0301"], isRgiEmoji: false, ... }
+ */
+const classifyGrapheme = (grapheme) => {
+  const chars = [...grapheme];
+  return {
+    grapheme,
+    codePoints: chars.map(char => char.codePointAt(0)),
+    generalCategory: generalCategory(grapheme),
+    base: chars[0],
+    marks: chars.slice(1).filter(char => MARK.test(char)),
+    isRgiEmoji: isRgiEmoji(grapheme),
+    isFlag: isFlag(grapheme),
+    isKeycap: isKeycap(grapheme),
+    hasSkinTone: hasSkinTone(grapheme),
+    isZwjSequence: isZwjSequence(grapheme)
+  };
+};
+
+export { classifyGrapheme, generalCategory };
@@ -0,0 +1,27 @@
+import { CONFUSABLES } from './data/confusables.js';
+
+/**
+ * Confusable detection helpers - the skeleton transform of UTS #39 (Unicode Security
+ * Mechanisms), which maps visually confusable strings to the same string.
+ */
+
+const prototypes = new Map();
+for (let i = 0; i < CONFUSABLES.length; i += 2) prototypes.set(CONFUSABLES[i], CONFUSABLES[i + 1]);
+
+/**
+ * Computes the skeleton of a string: its NFD form with every code point replaced by
+ * its confusable prototype, normalized to NFD again.
+ * @param {string} str - The string
+ * @returns {string} The skeleton, meant for comparison only and not for display
+ * @example
+ * skeleton("pаypal")  // "paypal"
+ */
+const skeleton = (str) => {
+  let mapped = '';
+  for (const char of str.normalize('NFD')) {
+    mapped += prototypes.get(char.codePointAt(0)) ?? char;
+  }
+  return mapped.normalize('NFD');
+};
+
+export { skeleton };
@@ -0,0 +1,291 @@
+/**
+ * Line_Break property data for line breaking (UAX #14).
+ * Derived from the Unicode Character Database file LineBreak.txt (Unicode 15.1).
+ * Conditional Japanese Starters (CJ) are tailored to NS. Classes not listed here
+ * are resolved by the line breaker: combining marks (CM), Hangul syllables (H2/H3),
+ * and everything else as alphabetic (AL).
+ */
+
+/**
+ * Flat list of inclusive [start, end, class] code point ranges, in ascending order.
+ * @type {Array<number|string>}
+ */
+export const LINE_BREAK_RANGES = [
+  0x0009, 0x0009, 'BA', 0x000A, 0x000A, 'LF', 0x000B, 0x000C, 'BK',
+  0x000D, 0x000D, 'CR', 0x0020, 0x0020, 'SP', 0x0021, 0x0021, 'EX',
+  0x0022, 0x0022, 'QU', 0x0024, 0x0024, 'PR', 0x0025, 0x0025, 'PO',
+  0x0027, 0x0027, 'QU', 0x0028, 0x0028, 'OP', 0x0029, 0x0029, 'CP',
+  0x002B, 0x002B, 'PR', 0x002C, 0x002C, 'IS', 0x002D, 0x002D, 'HY',
+  0x002E, 0x002E, 'IS', 0x002F, 0x002F, 'SY', 0x0030, 0x0039, 'NU',
+  0x003A, 0x003B, 'IS', 0x003F, 0x003F, 'EX', 0x005B, 0x005B, 'OP',
+  0x005C, 0x005C, 'PR', 0x005D, 0x005D, 'CP', 0x007B, 0x007B, 'OP',
+  0x007C, 0x007C, 'BA', 0x007D, 0x007D, 'CL', 0x0085, 0x0085, 'NL',
+  0x00A0, 0x00A0, 'GL', 0x00A1, 0x00A1, 'OP', 0x00A2, 0x00A2, 'PO',
+  0x00A3, 0x00A5, 'PR', 0x00AB, 0x00AB, 'QU', 0x00AD, 0x00AD, 'BA',
+  0x00B0, 0x00B0, 'PO', 0x00B1, 0x00B1, 'PR', 0x00B4, 0x00B4, 'BB',
+  0x00BB, 0x00BB, 'QU', 0x00BF, 0x00BF, 'OP', 0x02C8, 0x02C8, 'BB',
+  0x02CC, 0x02CC, 'BB', 0x02DF, 0x02DF, 'BB', 0x034F, 0x034F, 'GL',
+  0x035C, 0x0362, 'GL', 0x037E, 0x037E, 'IS', 0x0589, 0x0589, 'IS',
+  0x058A, 0x058A, 'BA', 0x058F, 0x058F, 'PR', 0x05BE, 0x05BE, 'BA',
+  0x05C6, 0x05C6, 'EX', 0x05D0, 0x05EA, 'HL', 0x05EF, 0x05F2, 'HL',
+  0x0600, 0x0605, 'NU', 0x0609, 0x060B, 'PO', 0x060C, 0x060D, 'IS',
+  0x061B, 0x061B, 'EX', 0x061D, 0x061F, 'EX', 0x0660, 0x0669, 'NU',
+  0x066A, 0x066A, 'PO', 0x066B, 0x066C, 'NU', 0x06D4, 0x06D4, 'EX',
+  0x06DD, 0x06DD, 'NU', 0x06F0, 0x06F9, 'NU', 0x07C0, 0x07C9, 'NU',
+  0x07F8, 0x07F8, 'IS', 0x07F9, 0x07F9, 'EX', 0x07FE, 0x07FF, 'PR',
+  0x0890, 0x0891, 'NU', 0x08E2, 0x08E2, 'NU', 0x0964, 0x0965, 'BA',
+  0x0966, 0x096F, 'NU', 0x09E6, 0x09EF, 'NU', 0x09F2, 0x09F3, 'PO',
+  0x09F9, 0x09F9, 'PO', 0x09FB, 0x09FB, 'PR', 0x0A66, 0x0A6F, 'NU',
+  0x0AE6, 0x0AEF, 'NU', 0x0AF1, 0x0AF1, 'PR', 0x0B66, 0x0B6F, 'NU',
+  0x0BE6, 0x0BEF, 'NU', 0x0BF9, 0x0BF9, 'PR', 0x0C66, 0x0C6F, 'NU',
+  0x0C77, 0x0C77, 'BB', 0x0C84, 0x0C84, 'BB', 0x0CE6, 0x0CEF, 'NU',
+  0x0D66, 0x0D6F, 'NU', 0x0D79, 0x0D79, 'PO', 0x0DE6, 0x0DEF, 'NU',
+  0x0E01, 0x0E3A, 'SA', 0x0E3F, 0x0E3F, 'PR', 0x0E40, 0x0E4E, 'SA',
+  0x0E50, 0x0E59, 'NU', 0x0E5A, 0x0E5B, 'BA', 0x0E81, 0x0E82, 'SA',
+  0x0E84, 0x0E84, 'SA', 0x0E86, 0x0E8A, 'SA', 0x0E8C, 0x0EA3, 'SA',
+  0x0EA5, 0x0EA5, 'SA', 0x0EA7, 0x0EBD, 'SA', 0x0EC0, 0x0EC4, 'SA',
+  0x0EC6, 0x0EC6, 'SA', 0x0EC8, 0x0ECE, 'SA', 0x0ED0, 0x0ED9, 'NU',
+  0x0EDC, 0x0EDF, 'SA', 0x0F01, 0x0F04, 'BB', 0x0F06, 0x0F07, 'BB',
+  0x0F08, 0x0F08, 'GL', 0x0F09, 0x0F0A, 'BB', 0x0F0B, 0x0F0B, 'BA',
+  0x0F0C, 0x0F0C, 'GL', 0x0F0D, 0x0F11, 'EX', 0x0F12, 0x0F12, 'GL',
+  0x0F14, 0x0F14, 'EX', 0x0F20, 0x0F29, 'NU', 0x0F34, 0x0F34, 'BA',
+  0x0F3A, 0x0F3A, 'OP', 0x0F3B, 0x0F3B, 'CL', 0x0F3C, 0x0F3C, 'OP',
+  0x0F3D, 0x0F3D, 'CL', 0x0F7F, 0x0F7F, 'BA', 0x0F85, 0x0F85, 'BA',
+  0x0FBE, 0x0FBF, 'BA', 0x0FD0, 0x0FD1, 'BB', 0x0FD2, 0x0FD2, 'BA',
+  0x0FD3, 0x0FD3, 'BB', 0x0FD9, 0x0FDA, 'GL', 0x1000, 0x103F, 'SA',
+  0x1040, 0x1049, 'NU', 0x104A, 0x104B, 'BA', 0x1050, 0x108F, 'SA',
+  0x1090, 0x1099, 'NU', 0x109A, 0x109F, 'SA', 0x1100, 0x115F, 'JL',
+  0x1160, 0x11A7, 'JV', 0x11A8, 0x11FF, 'JT', 0x1361, 0x1361, 'BA',
+  0x1400, 0x1400, 'BA', 0x1680, 0x1680, 'BA', 0x169B, 0x169B, 'OP',
+  0x169C, 0x169C, 'CL', 0x16EB, 0x16ED, 'BA', 0x1735, 0x1736, 'BA',
+  0x1780, 0x17D3, 'SA', 0x17D4, 0x17D5, 'BA', 0x17D6, 0x17D6, 'NS',
+  0x17D7, 0x17D7, 'SA', 0x17D8, 0x17D8, 'BA', 0x17DA, 0x17DA, 'BA',
+  0x17DB, 0x17DB, 'PR', 0x17DC, 0x17DD, 'SA', 0x17E0, 0x17E9, 'NU',
+  0x1802, 0x1803, 'EX', 0x1804, 0x1805, 'BA', 0x1806, 0x1806, 'BB',
+  0x1808, 0x1809, 'EX', 0x180E, 0x180E, 'GL', 0x1810, 0x1819, 'NU',
+  0x1944, 0x1945, 'EX', 0x1946, 0x194F, 'NU', 0x1950, 0x196D, 'SA',
+  0x1970, 0x1974, 'SA', 0x1980, 0x19AB, 'SA', 0x19B0, 0x19C9, 'SA',
+  0x19D0, 0x19D9, 'NU', 0x19DA, 0x19DA, 'SA', 0x19DE, 0x19DF, 'SA',
+  0x1A20, 0x1A5E, 'SA', 0x1A60, 0x1A7C, 'SA', 0x1A80, 0x1A89, 'NU',
+  0x1A90, 0x1A99, 'NU', 0x1AA0, 0x1AAD, 'SA', 0x1B50, 0x1B59, 'ID',
+  0x1B5A, 0x1B5B, 'BA', 0x1B5C, 0x1B5C, 'ID', 0x1B5D, 0x1B60, 'BA',
+  0x1B61, 0x1B6A, 'ID', 0x1B74, 0x1B7C, 'ID', 0x1B7D, 0x1B7E, 'BA',
+  0x1BB0, 0x1BB9, 'NU', 0x1C3B, 0x1C3F, 'BA', 0x1C40, 0x1C49, 'NU',
+  0x1C50, 0x1C59, 'NU', 0x1C7E, 0x1C7F, 'BA', 0x1DCD, 0x1DCD, 'GL',
+  0x1DFC, 0x1DFC, 'GL', 0x1FFD, 0x1FFD, 'BB', 0x2000, 0x2006, 'BA',
+  0x2007, 0x2007, 'GL', 0x2008, 0x200A, 'BA', 0x200B, 0x200B, 'ZW',
+  0x2010, 0x2010, 'BA', 0x2011, 0x2011, 'GL', 0x2012, 0x2013, 'BA',
+  0x2014, 0x2014, 'B2', 0x2018, 0x2019, 'QU', 0x201A, 0x201A, 'OP',
+  0x201B, 0x201D, 'QU', 0x201E, 0x201E, 'OP', 0x201F, 0x201F, 'QU',
+  0x2024, 0x2026, 'IN', 0x2027, 0x2027, 'BA', 0x2028, 0x2029, 'BK',
+  0x202F, 0x202F, 'GL', 0x2030, 0x2037, 'PO', 0x2039, 0x203A, 'QU',
+  0x203C, 0x203D, 'NS', 0x2044, 0x2044, 'IS', 0x2045, 0x2045, 'OP',
+  0x2046, 0x2046, 'CL', 0x2047, 0x2049, 'NS', 0x2056, 0x2056, 'BA',
+  0x2057, 0x2057, 'PO', 0x2058, 0x205B, 'BA', 0x205D, 0x205F, 'BA',
+  0x2060, 0x2060, 'WJ', 0x207D, 0x207D, 'OP', 0x207E, 0x207E, 'CL',
+  0x208D, 0x208D, 'OP', 0x208E, 0x208E, 'CL', 0x20A0, 0x20A6, 'PR',
+  0x20A7, 0x20A7, 'PO', 0x20A8, 0x20B5, 'PR', 0x20B6, 0x20B6, 'PO',
+  0x20B7, 0x20BA, 'PR', 0x20BB, 0x20BB, 'PO', 0x20BC, 0x20BD, 'PR',
+  0x20BE, 0x20BE, 'PO', 0x20BF, 0x20BF, 'PR', 0x20C0, 0x20C0, 'PO',
+  0x20C1, 0x20CF, 'PR', 0x2103, 0x2103, 'PO', 0x2109, 0x2109, 'PO',
+  0x2116, 0x2116, 'PR', 0x2212, 0x2213, 'PR', 0x22EF, 0x22EF, 'IN',
+  0x2308, 0x2308, 'OP', 0x2309, 0x2309, 'CL', 0x230A, 0x230A, 'OP',
+  0x230B, 0x230B, 'CL', 0x231A, 0x231B, 'ID', 0x2329, 0x2329, 'OP',
+  0x232A, 0x232A, 'CL', 0x23F0, 0x23F3, 'ID', 0x2600, 0x2603, 'ID',
+  0x2614, 0x2615, 'ID', 0x2618, 0x2618, 'ID', 0x261A, 0x261C, 'ID',
+  0x261D, 0x261D, 'EB', 0x261E, 0x261F, 'ID', 0x2639, 0x263B, 'ID',
+  0x2668, 0x2668, 'ID', 0x267F, 0x267F, 'ID', 0x26BD, 0x26C8, 'ID',
+  0x26CD, 0x26CD, 'ID', 0x26CF, 0x26D1, 'ID', 0x26D3, 0x26D4, 'ID',
+  0x26D8, 0x26D9, 'ID', 0x26DC, 0x26DC, 'ID', 0x26DF, 0x26E1, 'ID',
+  0x26EA, 0x26EA, 'ID', 0x26F1, 0x26F5, 'ID', 0x26F7, 0x26F8, 'ID',
+  0x26F9, 0x26F9, 'EB', 0x26FA, 0x26FA, 'ID', 0x26FD, 0x2704, 'ID',
+  0x2708, 0x2709, 'ID', 0x270A, 0x270D, 'EB', 0x275B, 0x2760, 'QU',
+  0x2762, 0x2763, 'EX', 0x2764, 0x2764, 'ID', 0x2768, 0x2768, 'OP',
+  0x2769, 0x2769, 'CL', 0x276A, 0x276A, 'OP', 0x276B, 0x276B, 'CL',
+  0x276C, 0x276C, 'OP', 0x276D, 0x276D, 'CL', 0x276E, 0x276E, 'OP',
+  0x276F, 0x276F, 'CL', 0x2770, 0x2770, 'OP', 0x2771, 0x2771, 'CL',
+  0x2772, 0x2772, 'OP', 0x2773, 0x2773, 'CL', 0x2774, 0x2774, 'OP',
+  0x2775, 0x2775, 'CL', 0x27C5, 0x27C5, 'OP', 0x27C6, 0x27C6, 'CL',
+  0x27E6, 0x27E6, 'OP', 0x27E7, 0x27E7, 'CL', 0x27E8, 0x27E8, 'OP',
+  0x27E9, 0x27E9, 'CL', 0x27EA, 0x27EA, 'OP', 0x27EB, 0x27EB, 'CL',
+  0x27EC, 0x27EC, 'OP', 0x27ED, 0x27ED, 'CL', 0x27EE, 0x27EE, 'OP',
+  0x27EF, 0x27EF, 'CL', 0x2983, 0x2983, 'OP', 0x2984, 0x2984, 'CL',
+  0x2985, 0x2985, 'OP', 0x2986, 0x2986, 'CL', 0x2987, 0x2987, 'OP',
+  0x2988, 0x2988, 'CL', 0x2989, 0x2989, 'OP', 0x298A, 0x298A, 'CL',
+  0x298B, 0x298B, 'OP', 0x298C, 0x298C, 'CL', 0x298D, 0x298D, 'OP',
+  0x298E, 0x298E, 'CL', 0x298F, 0x298F, 'OP', 0x2990, 0x2990, 'CL',
+  0x2991, 0x2991, 'OP', 0x2992, 0x2992, 'CL', 0x2993, 0x2993, 'OP',
+  0x2994, 0x2994, 'CL', 0x2995, 0x2995, 'OP', 0x2996, 0x2996, 'CL',
+  0x2997, 0x2997, 'OP', 0x2998, 0x2998, 'CL', 0x29D8, 0x29D8, 'OP',
+  0x29D9, 0x29D9, 'CL', 0x29DA, 0x29DA, 'OP', 0x29DB, 0x29DB, 'CL',
+  0x29FC, 0x29FC, 'OP', 0x29FD, 0x29FD, 'CL', 0x2CF9, 0x2CF9, 'EX',
+  0x2CFA, 0x2CFC, 'BA', 0x2CFE, 0x2CFE, 'EX', 0x2CFF, 0x2CFF, 'BA',
+  0x2D70, 0x2D70, 'BA', 0x2E00, 0x2E0D, 'QU', 0x2E0E, 0x2E15, 'BA',
+  0x2E17, 0x2E17, 'BA', 0x2E18, 0x2E18, 'OP', 0x2E19, 0x2E19, 'BA',
+  0x2E1C, 0x2E1D, 'QU', 0x2E20, 0x2E21, 'QU', 0x2E22, 0x2E22, 'OP',
+  0x2E23, 0x2E23, 'CL', 0x2E24, 0x2E24, 'OP', 0x2E25, 0x2E25, 'CL',
+  0x2E26, 0x2E26, 'OP', 0x2E27, 0x2E27, 'CL', 0x2E28, 0x2E28, 'OP',
+  0x2E29, 0x2E29, 'CL', 0x2E2A, 0x2E2D, 'BA', 0x2E2E, 0x2E2E, 'EX',
+  0x2E30, 0x2E31, 'BA', 0x2E33, 0x2E34, 'BA', 0x2E3A, 0x2E3B, 'B2',
+  0x2E3C, 0x2E3E, 'BA', 0x2E40, 0x2E41, 'BA', 0x2E42, 0x2E42, 'OP',
+  0x2E43, 0x2E4A, 'BA', 0x2E4C, 0x2E4C, 'BA', 0x2E4E, 0x2E4F, 'BA',
+  0x2E53, 0x2E54, 'EX', 0x2E55, 0x2E55, 'OP', 0x2E56, 0x2E56, 'CL',
+  0x2E57, 0x2E57, 'OP', 0x2E58, 0x2E58, 'CL', 0x2E59, 0x2E59, 'OP',
+  0x2E5A, 0x2E5A, 'CL', 0x2E5B, 0x2E5B, 'OP', 0x2E5C, 0x2E5C, 'CL',
+  0x2E5D, 0x2E5D, 'BA', 0x2E80, 0x2E99, 'ID', 0x2E9B, 0x2EF3, 'ID',
+  0x2F00, 0x2FD5, 'ID', 0x2FF0, 0x2FFF, 'ID', 0x3000, 0x3000, 'BA',
+  0x3001, 0x3002, 'CL', 0x3003, 0x3004, 'ID', 0x3005, 0x3005, 'NS',
+  0x3006, 0x3007, 'ID', 0x3008, 0x3008, 'OP', 0x3009, 0x3009, 'CL',
+  0x300A, 0x300A, 'OP', 0x300B, 0x300B, 'CL', 0x300C, 0x300C, 'OP',
+  0x300D, 0x300D, 'CL', 0x300E, 0x300E, 'OP', 0x300F, 0x300F, 'CL',
+  0x3010, 0x3010, 'OP', 0x3011, 0x3011, 'CL', 0x3012, 0x3013, 'ID',
+  0x3014, 0x3014, 'OP', 0x3015, 0x3015, 'CL', 0x3016, 0x3016, 'OP',
+  0x3017, 0x3017, 'CL', 0x3018, 0x3018, 'OP', 0x3019, 0x3019, 'CL',
+  0x301A, 0x301A, 'OP', 0x301B, 0x301B, 'CL', 0x301C, 0x301C, 'NS',
+  0x301D, 0x301D, 'OP', 0x301E, 0x301F, 'CL', 0x3020, 0x3029, 'ID',
+  0x3030, 0x3034, 'ID', 0x3036, 0x303A, 'ID', 0x303B, 0x303C, 'NS',
+  0x303D, 0x303F, 'ID', 0x3041, 0x3041, 'NS', 0x3042, 0x3042, 'ID',
+  0x3043, 0x3043, 'NS', 0x3044, 0x3044, 'ID', 0x3045, 0x3045, 'NS',
+  0x3046, 0x3046, 'ID', 0x3047, 0x3047, 'NS', 0x3048, 0x3048, 'ID',
+  0x3049, 0x3049, 'NS', 0x304A, 0x3062, 'ID', 0x3063, 0x3063, 'NS',
+  0x3064, 0x3082, 'ID', 0x3083, 0x3083, 'NS', 0x3084, 0x3084, 'ID',
+  0x3085, 0x3085, 'NS', 0x3086, 0x3086, 'ID', 0x3087, 0x3087, 'NS',
+  0x3088, 0x308D, 'ID', 0x308E, 0x308E, 'NS', 0x308F, 0x3094, 'ID',
+  0x3095, 0x3096, 'NS', 0x309B, 0x309E, 'NS', 0x309F, 0x309F, 'ID',
+  0x30A0, 0x30A1, 'NS', 0x30A2, 0x30A2, 'ID', 0x30A3, 0x30A3, 'NS',
+  0x30A4, 0x30A4, 'ID', 0x30A5, 0x30A5, 'NS', 0x30A6, 0x30A6, 'ID',
+  0x30A7, 0x30A7, 'NS', 0x30A8, 0x30A8, 'ID', 0x30A9, 0x30A9, 'NS',
+  0x30AA, 0x30C2, 'ID', 0x30C3, 0x30C3, 'NS', 0x30C4, 0x30E2, 'ID',
+  0x30E3, 0x30E3, 'NS', 0x30E4, 0x30E4, 'ID', 0x30E5, 0x30E5, 'NS',
+  0x30E6, 0x30E6, 'ID', 0x30E7, 0x30E7, 'NS', 0x30E8, 0x30ED, 'ID',
+  0x30EE, 0x30EE, 'NS', 0x30EF, 0x30F4, 'ID', 0x30F5, 0x30F6, 'NS',
+  0x30F7, 0x30FA, 'ID', 0x30FB, 0x30FE, 'NS', 0x30FF, 0x30FF, 'ID',
+  0x3105, 0x312F, 'ID', 0x3131, 0x318E, 'ID', 0x3190, 0x31E3, 'ID',
+  0x31EF, 0x31EF, 'ID', 0x31F0, 0x31FF, 'NS', 0x3200, 0x321E, 'ID',
+  0x3220, 0x3247, 'ID', 0x3250, 0x4DBF, 'ID', 0x4E00, 0xA014, 'ID',
+  0xA015, 0xA015, 'NS', 0xA016, 0xA48C, 'ID', 0xA490, 0xA4C6, 'ID',
+  0xA4FE, 0xA4FF, 'BA', 0xA60D, 0xA60D, 'BA', 0xA60E, 0xA60E, 'EX',
+  0xA60F, 0xA60F, 'BA', 0xA620, 0xA629, 'NU', 0xA6F3, 0xA6F7, 'BA',
+  0xA838, 0xA838, 'PO', 0xA874, 0xA875, 'BB', 0xA876, 0xA877, 'EX',
+  0xA8CE, 0xA8CF, 'BA', 0xA8D0, 0xA8D9, 'NU', 0xA8FC, 0xA8FC, 'BB',
+  0xA900, 0xA909, 'NU', 0xA92E, 0xA92F, 'BA', 0xA960, 0xA97C, 'JL',
+  0xA9C1, 0xA9C6, 'ID', 0xA9C7, 0xA9C9, 'BA', 0xA9CA, 0xA9CD, 'ID',
+  0xA9CF, 0xA9CF, 'BA', 0xA9D0, 0xA9D9, 'ID', 0xA9DE, 0xA9DF, 'ID',
+  0xA9E0, 0xA9EF, 'SA', 0xA9F0, 0xA9F9, 'NU', 0xA9FA, 0xA9FE, 'SA',
+  0xAA40, 0xAA42, 'BA', 0xAA44, 0xAA4B, 'BA', 0xAA50, 0xAA59, 'ID',
+  0xAA5C, 0xAA5C, 'ID', 0xAA5D, 0xAA5F, 'BA', 0xAA60, 0xAAC2, 'SA',
+  0xAADB, 0xAADF, 'SA', 0xAAF0, 0xAAF1, 'BA', 0xABEB, 0xABEB, 'BA',
+  0xABF0, 0xABF9, 'NU', 0xD7B0, 0xD7C6, 'JV', 0xD7CB, 0xD7FB, 'JT',
+  0xF900, 0xFAFF, 'ID', 0xFB1D, 0xFB1D, 'HL', 0xFB1F, 0xFB28, 'HL',
+  0xFB2A, 0xFB36, 'HL', 0xFB38, 0xFB3C, 'HL', 0xFB3E, 0xFB3E, 'HL',
+  0xFB40, 0xFB41, 'HL', 0xFB43, 0xFB44, 'HL', 0xFB46, 0xFB4F, 'HL',
+  0xFD3E, 0xFD3E, 'CL', 0xFD3F, 0xFD3F, 'OP', 0xFDFC, 0xFDFC, 'PO',
+  0xFE10, 0xFE10, 'IS', 0xFE11, 0xFE12, 'CL', 0xFE13, 0xFE14, 'IS',
+  0xFE15, 0xFE16, 'EX', 0xFE17, 0xFE17, 'OP', 0xFE18, 0xFE18, 'CL',
+  0xFE19, 0xFE19, 'IN', 0xFE30, 0xFE34, 'ID', 0xFE35, 0xFE35, 'OP',
+  0xFE36, 0xFE36, 'CL', 0xFE37, 0xFE37, 'OP', 0xFE38, 0xFE38, 'CL',
+  0xFE39, 0xFE39, 'OP', 0xFE3A, 0xFE3A, 'CL', 0xFE3B, 0xFE3B, 'OP',
+  0xFE3C, 0xFE3C, 'CL', 0xFE3D, 0xFE3D, 'OP', 0xFE3E, 0xFE3E, 'CL',
+  0xFE3F, 0xFE3F, 'OP', 0xFE40, 0xFE40, 'CL', 0xFE41, 0xFE41, 'OP',
+  0xFE42, 0xFE42, 'CL', 0xFE43, 0xFE43, 'OP', 0xFE44, 0xFE44, 'CL',
+  0xFE45, 0xFE46, 'ID', 0xFE47, 0xFE47, 'OP', 0xFE48, 0xFE48, 'CL',
+  0xFE49, 0xFE4F, 'ID', 0xFE50, 0xFE50, 'CL', 0xFE51, 0xFE51, 'ID',
+  0xFE52, 0xFE52, 'CL', 0xFE54, 0xFE55, 'NS', 0xFE56, 0xFE57, 'EX',
+  0xFE58, 0xFE58, 'ID', 0xFE59, 0xFE59, 'OP', 0xFE5A, 0xFE5A, 'CL',
+  0xFE5B, 0xFE5B, 'OP', 0xFE5C, 0xFE5C, 'CL', 0xFE5D, 0xFE5D, 'OP',
+  0xFE5E, 0xFE5E, 'CL', 0xFE5F, 0xFE66, 'ID', 0xFE68, 0xFE68, 'ID',
+  0xFE69, 0xFE69, 'PR', 0xFE6A, 0xFE6A, 'PO', 0xFE6B, 0xFE6B, 'ID',
+  0xFEFF, 0xFEFF, 'WJ', 0xFF01, 0xFF01, 'EX', 0xFF02, 0xFF03, 'ID',
+  0xFF04, 0xFF04, 'PR', 0xFF05, 0xFF05, 'PO', 0xFF06, 0xFF07, 'ID',
+  0xFF08, 0xFF08, 'OP', 0xFF09, 0xFF09, 'CL', 0xFF0A, 0xFF0B, 'ID',
+  0xFF0C, 0xFF0C, 'CL', 0xFF0D, 0xFF0D, 'ID', 0xFF0E, 0xFF0E, 'CL',
+  0xFF0F, 0xFF19, 'ID', 0xFF1A, 0xFF1B, 'NS', 0xFF1C, 0xFF1E, 'ID',
+  0xFF1F, 0xFF1F, 'EX', 0xFF20, 0xFF3A, 'ID', 0xFF3B, 0xFF3B, 'OP',
+  0xFF3C, 0xFF3C, 'ID', 0xFF3D, 0xFF3D, 'CL', 0xFF3E, 0xFF5A, 'ID',
+  0xFF5B, 0xFF5B, 'OP', 0xFF5C, 0xFF5C, 'ID', 0xFF5D, 0xFF5D, 'CL',
+  0xFF5E, 0xFF5E, 'ID', 0xFF5F, 0xFF5F, 'OP', 0xFF60, 0xFF61, 'CL',
+  0xFF62, 0xFF62, 'OP', 0xFF63, 0xFF64, 'CL', 0xFF65, 0xFF65, 'NS',
+  0xFF66, 0xFF66, 'ID', 0xFF67, 0xFF70, 'NS', 0xFF71, 0xFF9D, 'ID',
+  0xFF9E, 0xFF9F, 'NS', 0xFFA0, 0xFFBE, 'ID', 0xFFC2, 0xFFC7, 'ID',
+  0xFFCA, 0xFFCF, 'ID', 0xFFD2, 0xFFD7, 'ID', 0xFFDA, 0xFFDC, 'ID',
+  0xFFE0, 0xFFE0, 'PO', 0xFFE1, 0xFFE1, 'PR', 0xFFE2, 0xFFE4, 'ID',
+  0xFFE5, 0xFFE6, 'PR', 0xFFFC, 0xFFFC, 'CB', 0x10100, 0x10102, 'BA',
+  0x1039F, 0x1039F, 'BA', 0x103D0, 0x103D0, 'BA', 0x104A0, 0x104A9, 'NU',
+  0x10857, 0x10857, 'BA', 0x1091F, 0x1091F, 'BA', 0x10A50, 0x10A57, 'BA',
+  0x10AF0, 0x10AF5, 'BA', 0x10AF6, 0x10AF6, 'IN', 0x10B39, 0x10B3F, 'BA',
+  0x10D30, 0x10D39, 'NU', 0x10EAD, 0x10EAD, 'BA', 0x11047, 0x11048, 'BA',
+  0x11049, 0x1104D, 'ID', 0x11052, 0x11065, 'ID', 0x1107F, 0x1107F, 'GL',
+  0x110BD, 0x110BD, 'NU', 0x110BE, 0x110C1, 'BA', 0x110CD, 0x110CD, 'NU',
+  0x110F0, 0x110F9, 'NU', 0x11136, 0x1113F, 'NU', 0x11140, 0x11143, 'BA',
+  0x11175, 0x11175, 'BB', 0x111C5, 0x111C6, 'BA', 0x111C8, 0x111C8, 'BA',
+  0x111D0, 0x111D9, 'NU', 0x111DB, 0x111DB, 'BB', 0x111DD, 0x111DF, 'BA',
+  0x11238, 0x11239, 'BA', 0x1123B, 0x1123C, 'BA', 0x112A9, 0x112A9, 'BA',
+  0x112F0, 0x112F9, 'NU', 0x1133D, 0x1133D, 'BA', 0x1135D, 0x1135D, 'BA',
+  0x1144B, 0x1144E, 'BA', 0x11450, 0x11459, 'NU', 0x1145A, 0x1145B, 'BA',
+  0x114D0, 0x114D9, 'NU', 0x115C1, 0x115C1, 'BB', 0x115C2, 0x115C3, 'BA',
+  0x115C4, 0x115C5, 'EX', 0x115C9, 0x115D7, 'BA', 0x11641, 0x11642, 'BA',
+  0x11650, 0x11659, 'NU', 0x11660, 0x1166C, 'BB', 0x116C0, 0x116C9, 'NU',
+  0x11700, 0x1171A, 'SA', 0x1171D, 0x1172B, 'SA', 0x11730, 0x11739, 'NU',
+  0x1173A, 0x1173B, 'SA', 0x1173C, 0x1173E, 'BA', 0x1173F, 0x11746, 'SA',
+  0x118E0, 0x118E9, 'NU', 0x11944, 0x11946, 'BA', 0x11950, 0x11959, 'ID',
+  0x119E2, 0x119E2, 'BB', 0x11A3F, 0x11A3F, 'BB', 0x11A41, 0x11A44, 'BA',
+  0x11A45, 0x11A45, 'BB', 0x11A9A, 0x11A9C, 'BA', 0x11A9E, 0x11AA0, 'BB',
+  0x11AA1, 0x11AA2, 'BA', 0x11B00, 0x11B09, 'BB', 0x11C41, 0x11C45, 'BA',
+  0x11C50, 0x11C59, 'NU', 0x11C70, 0x11C70, 'BB', 0x11C71, 0x11C71, 'EX',
+  0x11D50, 0x11D59, 'NU', 0x11DA0, 0x11DA9, 'NU', 0x11EF2, 0x11EF2, 'BA',
+  0x11EF7, 0x11EF8, 'BA', 0x11F43, 0x11F44, 'BA', 0x11F45, 0x11F4F, 'ID',
+  0x11FDD, 0x11FE0, 'PO', 0x11FFF, 0x11FFF, 'BA', 0x12470, 0x12474, 'BA',
+  0x13258, 0x1325A, 'OP', 0x1325B, 0x1325D, 'CL', 0x13282, 0x13282, 'CL',
+  0x13286, 0x13286, 'OP', 0x13287, 0x13287, 'CL', 0x13288, 0x13288, 'OP',
+  0x13289, 0x13289, 'CL', 0x13379, 0x13379, 'OP', 0x1337A, 0x1337B, 'CL',
+  0x1342F, 0x1342F, 'OP', 0x13430, 0x13436, 'GL', 0x13437, 0x13437, 'OP',
+  0x13438, 0x13438, 'CL', 0x13439, 0x1343B, 'GL', 0x1343C, 0x1343C, 'OP',
+  0x1343D, 0x1343D, 'CL', 0x1343E, 0x1343E, 'OP', 0x1343F, 0x1343F, 'CL',
+  0x145CE, 0x145CE, 'OP', 0x145CF, 0x145CF, 'CL', 0x16A60, 0x16A69, 'NU',
+  0x16A6E, 0x16A6F, 'BA', 0x16AC0, 0x16AC9, 'NU', 0x16AF5, 0x16AF5, 'BA',
+  0x16B37, 0x16B39, 'BA', 0x16B44, 0x16B44, 'BA', 0x16B50, 0x16B59, 'NU',
+  0x16E97, 0x16E98, 'BA', 0x16FE0, 0x16FE3, 'NS', 0x16FE4, 0x16FE4, 'GL',
+  0x17000, 0x187F7, 'ID', 0x18800, 0x18AFF, 'ID', 0x18D00, 0x18D08, 'ID',
+  0x1B000, 0x1B122, 'ID', 0x1B132, 0x1B132, 'NS', 0x1B150, 0x1B152, 'NS',
+  0x1B155, 0x1B155, 'NS', 0x1B164, 0x1B167, 'NS', 0x1B170, 0x1B2FB, 'ID',
+  0x1BC9F, 0x1BC9F, 'BA', 0x1D7CE, 0x1D7FF, 'NU', 0x1DA87, 0x1DA8A, 'BA',
+  0x1E140, 0x1E149, 'NU', 0x1E2F0, 0x1E2F9, 'NU', 0x1E2FF, 0x1E2FF, 'PR',
+  0x1E4F0, 0x1E4F9, 'NU', 0x1E950, 0x1E959, 'NU', 0x1E95E, 0x1E95F, 'OP',
+  0x1ECAC, 0x1ECAC, 'PO', 0x1ECB0, 0x1ECB0, 'PO', 0x1F000, 0x1F0FF, 'ID',
+  0x1F10D, 0x1F10F, 'ID', 0x1F16D, 0x1F16F, 'ID', 0x1F1AD, 0x1F1E5, 'ID',
+  0x1F1E6, 0x1F1FF, 'RI', 0x1F200, 0x1F384, 'ID', 0x1F385, 0x1F385, 'EB',
+  0x1F386, 0x1F39B, 'ID', 0x1F39E, 0x1F3B4, 'ID', 0x1F3B7, 0x1F3BB, 'ID',
+  0x1F3BD, 0x1F3C1, 'ID', 0x1F3C2, 0x1F3C4, 'EB', 0x1F3C5, 0x1F3C6, 'ID',
+  0x1F3C7, 0x1F3C7, 'EB', 0x1F3C8, 0x1F3C9, 'ID', 0x1F3CA, 0x1F3CC, 'EB',
+  0x1F3CD, 0x1F3FA, 'ID', 0x1F3FB, 0x1F3FF, 'EM', 0x1F400, 0x1F441, 'ID',
+  0x1F442, 0x1F443, 'EB', 0x1F444, 0x1F445, 'ID', 0x1F446, 0x1F450, 'EB',
+  0x1F451, 0x1F465, 'ID', 0x1F466, 0x1F478, 'EB', 0x1F479, 0x1F47B, 'ID',
+  0x1F47C, 0x1F47C, 'EB', 0x1F47D, 0x1F480, 'ID', 0x1F481, 0x1F483, 'EB',
+  0x1F484, 0x1F484, 'ID', 0x1F485, 0x1F487, 'EB', 0x1F488, 0x1F48E, 'ID',
+  0x1F48F, 0x1F48F, 'EB', 0x1F490, 0x1F490, 'ID', 0x1F491, 0x1F491, 'EB',
+  0x1F492, 0x1F49F, 'ID', 0x1F4A1, 0x1F4A1, 'ID', 0x1F4A3, 0x1F4A3, 'ID',
+  0x1F4A5, 0x1F4A9, 'ID', 0x1F4AA, 0x1F4AA, 'EB', 0x1F4AB, 0x1F4AE, 'ID',
+  0x1F4B0, 0x1F4B0, 'ID', 0x1F4B3, 0x1F4FF, 'ID', 0x1F507, 0x1F516, 'ID',
+  0x1F525, 0x1F531, 'ID', 0x1F54A, 0x1F573, 'ID', 0x1F574, 0x1F575, 'EB',
+  0x1F576, 0x1F579, 'ID', 0x1F57A, 0x1F57A, 'EB', 0x1F57B, 0x1F58F, 'ID',
+  0x1F590, 0x1F590, 'EB', 0x1F591, 0x1F594, 'ID', 0x1F595, 0x1F596, 'EB',
+  0x1F597, 0x1F5D3, 'ID', 0x1F5DC, 0x1F5F3, 'ID', 0x1F5FA, 0x1F644, 'ID',
+  0x1F645, 0x1F647, 'EB', 0x1F648, 0x1F64A, 'ID', 0x1F64B, 0x1F64F, 'EB',
+  0x1F676, 0x1F678, 'QU', 0x1F679, 0x1F67B, 'NS', 0x1F680, 0x1F6A2, 'ID',
+  0x1F6A3, 0x1F6A3, 'EB', 0x1F6A4, 0x1F6B3, 'ID', 0x1F6B4, 0x1F6B6, 'EB',
+  0x1F6B7, 0x1F6BF, 'ID', 0x1F6C0, 0x1F6C0, 'EB', 0x1F6C1, 0x1F6CB, 'ID',
+  0x1F6CC, 0x1F6CC, 'EB', 0x1F6CD, 0x1F6FF, 'ID', 0x1F774, 0x1F77F, 'ID',
+  0x1F7D5, 0x1F7FF, 'ID', 0x1F80C, 0x1F80F, 'ID', 0x1F848, 0x1F84F, 'ID',
+  0x1F85A, 0x1F85F, 'ID', 0x1F888, 0x1F88F, 'ID', 0x1F8AE, 0x1F8FF, 'ID',
+  0x1F90C, 0x1F90C, 'EB', 0x1F90D, 0x1F90E, 'ID', 0x1F90F, 0x1F90F, 'EB',
+  0x1F910, 0x1F917, 'ID', 0x1F918, 0x1F91F, 'EB', 0x1F920, 0x1F925, 'ID',
+  0x1F926, 0x1F926, 'EB', 0x1F927, 0x1F92F, 'ID', 0x1F930, 0x1F939, 'EB',
+  0x1F93A, 0x1F93B, 'ID', 0x1F93C, 0x1F93E, 'EB', 0x1F93F, 0x1F976, 'ID',
+  0x1F977, 0x1F977, 'EB', 0x1F978, 0x1F9B4, 'ID', 0x1F9B5, 0x1F9B6, 'EB',
+  0x1F9B7, 0x1F9B7, 'ID', 0x1F9B8, 0x1F9B9, 'EB', 0x1F9BA, 0x1F9BA, 'ID',
+  0x1F9BB, 0x1F9BB, 'EB', 0x1F9BC, 0x1F9CC, 'ID', 0x1F9CD, 0x1F9CF, 'EB',
+  0x1F9D0, 0x1F9D0, 'ID', 0x1F9D1, 0x1F9DD, 'EB', 0x1F9DE, 0x1F9FF, 'ID',
+  0x1FA54, 0x1FAC2, 'ID', 0x1FAC3, 0x1FAC5, 'EB', 0x1FAC6, 0x1FAEF, 'ID',
+  0x1FAF0, 0x1FAF8, 'EB', 0x1FAF9, 0x1FAFF, 'ID', 0x1FBF0, 0x1FBF9, 'NU',
+  0x1FC00, 0x1FFFD, 'ID', 0x20000, 0x2FFFD, 'ID', 0x30000, 0x3FFFD, 'ID'
+];
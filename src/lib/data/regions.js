@@ -0,0 +1,355 @@
+/**
+ * Region data for flag emoji.
+ * Region codes are the ISO 3166-1 alpha-2 codes that have flag emoji in Unicode 15.1,
+ * which also covers a few exceptionally reserved codes (such as AC, EU and UN) and
+ * XK. Subdivision codes are the ISO 3166-2 based codes used by emoji tag sequences,
+ * derived from the CLDR 48.2.0 subdivision data.
+ */
+
+/**
+ * Uppercase region codes, in ascending order.
+ * @type {Array<string>}
+ */
+export const REGION_CODES = [
+  'AC', 'AD', 'AE', 'AF', 'AG', 'AI', 'AL', 'AM', 'AO', 'AQ', 'AR', 'AS', 'AT', 'AU',
+  'AW', 'AX', 'AZ', 'BA', 'BB', 'BD', 'BE', 'BF', 'BG', 'BH', 'BI', 'BJ', 'BL', 'BM',
+  'BN', 'BO', 'BQ', 'BR', 'BS', 'BT', 'BV', 'BW', 'BY', 'BZ', 'CA', 'CC', 'CD', 'CF',
+  'CG', 'CH', 'CI', 'CK', 'CL', 'CM', 'CN', 'CO', 'CP', 'CQ', 'CR', 'CU', 'CV', 'CW',
+  'CX', 'CY', 'CZ', 'DE', 'DG', 'DJ', 'DK', 'DM', 'DO', 'DZ', 'EA', 'EC', 'EE', 'EG',
+  'EH', 'ER', 'ES', 'ET', 'EU', 'FI', 'FJ', 'FK', 'FM', 'FO', 'FR', 'GA', 'GB', 'GD',
+  'GE', 'GF', 'GG', 'GH', 'GI', 'GL', 'GM', 'GN', 'GP', 'GQ', 'GR', 'GS', 'GT', 'GU',
+  'GW', 'GY', 'HK', 'HM', 'HN', 'HR', 'HT', 'HU', 'IC', 'ID', 'IE', 'IL', 'IM', 'IN',
+  'IO', 'IQ', 'IR', 'IS', 'IT', 'JE', 'JM', 'JO', 'JP', 'KE', 'KG', 'KH', 'KI', 'KM',
+  'KN', 'KP', 'KR', 'KW', 'KY', 'KZ', 'LA', 'LB', 'LC', 'LI', 'LK', 'LR', 'LS', 'LT',
+  'LU', 'LV', 'LY', 'MA', 'MC', 'MD', 'ME', 'MF', 'MG', 'MH', 'MK', 'ML', 'MM', 'MN',
+  'MO', 'MP', 'MQ', 'MR', 'MS', 'MT', 'MU', 'MV', 'MW', 'MX', 'MY', 'MZ', 'NA', 'NC',
+  'NE', 'NF', 'NG', 'NI', 'NL', 'NO', 'NP', 'NR', 'NU', 'NZ', 'OM', 'PA', 'PE', 'PF',
+  'PG', 'PH', 'PK', 'PL', 'PM', 'PN', 'PR', 'PS', 'PT', 'PW', 'PY', 'QA', 'RE', 'RO',
+  'RS', 'RU', 'RW', 'SA', 'SB', 'SC', 'SD', 'SE', 'SG', 'SH', 'SI', 'SJ', 'SK', 'SL',
+  'SM', 'SN', 'SO', 'SR', 'SS', 'ST', 'SV', 'SX', 'SY', 'SZ', 'TA', 'TC', 'TD', 'TF',
+  'TG', 'TH', 'TJ', 'TK', 'TL', 'TM', 'TN', 'TO', 'TR', 'TT', 'TV', 'TW', 'TZ', 'UA',
+  'UG', 'UM', 'UN', 'US', 'UY', 'UZ', 'VA', 'VC', 'VE', 'VG', 'VI', 'VN', 'VU', 'WF',
+  'WS', 'XK', 'YE', 'YT', 'ZA', 'ZM', 'ZW'
+];
+
+/**
+ * Lowercase subdivision suffixes by uppercase region code, separated by spaces:
+ * 'eng' under GB stands for the subdivision gbeng (GB-ENG).
+ * @type {Object<string, string>}
+ */
+export const SUBDIVISION_CODES = {
+  AD: '02 03 04 05 06 07 08',
+  AE: 'aj az du fu rk sh uq',
+  AF: 'bal bam bdg bds bgl day fra fyb gha gho hel her jow kab kan kap kdz kho knr lag ' +
+    'log nan nim nur pan par pia pka sam sar tak uru war zab',
+  AG: '03 04 05 06 07 08 10 11',
+  AL: '01 02 03 04 05 06 07 08 09 10 11 12',
+  AM: 'ag ar av er gr kt lo sh su tv vd',
+  AO: 'bgo bgu bie cab ccu cnn cno cus hua hui lno lsu lua mal mox nam uig zai',
+  AR: 'a b c d e f g h j k l m n p q r s t u v w x y z',
+  AT: '1 2 3 4 5 6 7 8 9',
+  AU: 'act nsw nt qld sa tas vic wa',
+  AZ: 'abs aga agc agm ags agu ast ba bab bal bar bey bil cab cal cul das fuz ga gad ' +
+    'gor goy gyg hac imi ism kal kan kur la lac lan ler mas mi na nef nv nx ogu ord ' +
+    'qab qax qaz qba qbi qob qus sa sab sad sah sak sal sar sat sbn siy skr sm smi ' +
+    'smx sr sus tar tov uca xa xac xci xiz xvd yar ye yev zan zaq zar',
+  BA: 'bih brc srp',
+  BB: '01 02 03 04 05 06 07 08 09 10 11',
+  BD: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47 48 49 50 51 52 ' +
+    '53 54 55 56 57 58 59 60 61 62 63 64 a b c d e f g h',
+  BE: 'bru van vbr vlg vli vov vwv wal wbr wht wlg wlx wna',
+  BF: '01 02 03 04 05 06 07 08 09 10 11 12 13 bal bam ban baz bgr blg blk com gan gna ' +
+    'gou hou iob kad ken kmd kmp kop kos kot kow ler lor mou nam nao nay nou oub oud ' +
+    'pas pon sen sis smt sng som sor tap tui yag yat zir zon zou',
+  BG: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28',
+  BH: '13 14 15 17',
+  BI: 'bb bl bm br ca ci gi ki kr ky ma mu mw my ng rm rt ry',
+  BJ: 'ak al aq bo co do ko li mo ou pl zo',
+  BN: 'be bm te tu',
+  BO: 'b c h l n o p s t',
+  BQ: 'bo sa se',
+  BR: 'ac al am ap ba ce df es go ma mg ms mt pa pb pe pi pr rj rn ro rr rs sc se sp to',
+  BS: 'ak bi bp by ce ci ck co cs eg ex fp gc hi ht in li mc mg mi ne no np ns rc ri ' +
+    'sa se so ss sw wg',
+  BT: '11 12 13 14 15 21 22 23 24 31 32 33 34 41 42 43 44 45 ga ty',
+  BW: 'ce ch fr ga gh jw kg kl kw lo ne nw se so sp st',
+  BY: 'br hm ho hr ma mi vi',
+  BZ: 'bz cy czl ow sc tol',
+  CA: 'ab bc mb nb nl ns nt nu on pe qc sk yt',
+  CD: 'bc bu eq hk hl hu it kc ke kg kl kn ks lo lu ma mn mo nk nu sa sk su ta to tu',
+  CF: 'ac bb bgf bk hk hm hs kb kg lb mb mp nm op se uk vk',
+  CG: '11 12 13 14 15 16 2 5 7 8 9 bzv',
+  CH: 'ag ai ar be bl bs fr ge gl gr ju lu ne nw ow sg sh so sz tg ti ur vd vs zg zh',
+  CI: 'ab bs cm dn gd lc lg mg sm sv vb wr ym zz',
+  CL: 'ai an ap ar at bi co li ll lr ma ml nb rm ta vs',
+  CM: 'ad ce en es lt no nw ou su sw',
+  CN: 'ah bj cq fj gd gs gx gz ha hb he hi hk hl hn jl js jx ln mo nm nx qh sc sd sh ' +
+    'sn sx tj tw xj xz yn zj',
+  CO: 'ama ant ara atl bol boy cal caq cas cau ces cho cor cun dc gua guv hui lag mag ' +
+    'met nar nsa put qui ris san sap suc tol vac vau vid',
+  CR: 'a c g h l p sj',
+  CU: '01 03 04 05 06 07 08 09 10 11 12 13 14 15 16 99',
+  CV: 'b br bv ca cf cr ma mo pa pn pr rb rg rs s sd sf sl sm so ss sv ta ts',
+  CY: '01 02 03 04 05 06',
+  CZ: '10 20 201 202 203 204 205 206 207 208 209 20a 20b 20c 31 311 312 313 314 315 ' +
+    '316 317 32 321 322 323 324 325 326 327 41 411 412 413 42 421 422 423 424 425 ' +
+    '426 427 51 511 512 513 514 52 521 522 523 524 525 53 531 532 533 534 63 631 632 ' +
+    '633 634 635 64 641 642 643 644 645 646 647 71 711 712 713 714 715 72 721 722 ' +
+    '723 724 80 801 802 803 804 805 806',
+  DE: 'bb be bw by hb he hh mv ni nw rp sh sl sn st th',
+  DJ: 'ar as di dj ob ta',
+  DK: '81 82 83 84 85',
+  DM: '02 03 04 05 06 07 08 09 10 11',
+  DO: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42',
+  DZ: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47 48 49 50 51 52 ' +
+    '53 54 55 56 57 58',
+  EC: 'a b c d e f g h i l m n o p r s sd se t u w x y z',
+  EE: '130 141 142 171 184 191 198 205 214 245 247 251 255 272 283 284 291 293 296 303 ' +
+    '305 317 321 338 353 37 39 424 430 431 432 441 442 446 45 478 480 486 50 503 511 ' +
+    '514 52 528 557 56 567 586 60 615 618 622 624 638 64 651 653 661 663 668 68 689 ' +
+    '698 708 71 712 714 719 726 732 735 74 784 79 792 793 796 803 809 81 824 834 84 ' +
+    '855 87 890 897 899 901 903 907 917 919 928',
+  EG: 'alx asn ast ba bh bns c dk dt fym gh gz is js kb kfs kn lx mn mnf mt pts shg ' +
+    'shr sin suz wad',
+  ER: 'an dk du gb ma sk',
+  ES: 'a ab al an ar as av b ba bi bu c ca cb cc ce cl cm cn co cr cs ct cu ex ga gc ' +
+    'gi gr gu h hu ib j l le lo lu m ma mc md ml mu na nc o or p pm po pv ri s sa se ' +
+    'sg so ss t te tf to v va vc vi z za',
+  ET: 'aa af am be dd ga ha or si sn so sw ti',
+  FI: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19',
+  FJ: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 c e n r w',
+  FM: 'ksa pni trk yap',
+  FR: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20r 21 22 23 24 25 26 ' +
+    '27 28 29 2a 2b 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47 48 49 50 ' +
+    '51 52 53 54 55 56 57 58 59 60 61 62 63 64 65 66 67 68 69 69m 6ae 70 71 72 73 74 ' +
+    '75c 76 77 78 79 80 81 82 83 84 85 86 87 88 89 90 91 92 93 94 95 971 972 973 974 ' +
+    '976 ara bfc bl bre cp cvl ges hdf idf mf naq nc nor occ pac pdl pf pm tf wf',
+  GA: '1 2 3 4 5 6 7 8 9',
+  GB: 'abc abd abe agb agy and ann ans bas bbd bcp bdf bdg ben bex bfs bge bgw bir bkm ' +
+    'bne bnh bns bol bpl brc brd bry bst bur cam cay cbf ccg cgn che chw cld clk cma ' +
+    'cmd cmn con cov crf cry cwy dal dby den der dev dgy dnc dnd dor drs dud dur eal ' +
+    'eay edh edu eln els enf eng erw ery ess esx fal fif fln fmo gat glg gls gre gwn ' +
+    'hal ham hav hck hef hil hld hmf hns hpl hrt hrw hry ios iow isl ivc kec ken khl ' +
+    'kir ktt kwl lan lbc lbh lce lds lec lew lin liv lnd lut man mdb mdw mea mik mln ' +
+    'mon mrt mry mty mul nay nbl nel net nfk ngm nir nlk nln nmd nnh nsm ntl ntt nty ' +
+    'nwm nwp nyk old ork oxf pem pkn ply por pow pte rcc rch rct rdb rdg rfw ric rot ' +
+    'rut saw say scb sct sfk sft sgc shf shn shr skp slf slg slk snd sol som sos sry ' +
+    'ste stg sth stn sts stt sty swa swd swk tam tfw thr tob tof trf twh vgl war wbk ' +
+    'wdu wft wgn wil wkf wll wln wls wlv wnd wnh wnm wok wor wrl wrt wrx wsm wsx yor ' +
+    'zet',
+  GD: '01 02 03 04 05 06 10',
+  GE: 'ab aj gu im ka kk mm rl sj sk sz tb',
+  GH: 'aa af ah be bo cp ep ne np ot sv tv ue uw wn wp',
+  GL: 'av ku qe qt sm',
+  GM: 'b l m n u w',
+  GN: 'b be bf bk c co d db di dl du f fa fo fr ga gu k ka kb kd ke kn ko ks l la le ' +
+    'lo m mc md ml mm n nz pi si te to yo',
+  GQ: 'an bn bs c cs dj i kn li wn',
+  GR: '69 a b c d e f g h i j k l m',
+  GT: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22',
+  GW: 'ba bl bm bs ca ga l n oi qu s to',
+  GY: 'ba cu de eb es ma pm pt ud ut',
+  HN: 'at ch cl cm cp cr ep fm gd ib in le lp oc ol sb va yo',
+  HR: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21',
+  HT: 'ar ce ga nd ne ni no ou sd se',
+  HU: 'ba bc be bk bu bz cs de du eg er fe gs gy hb he hv jn ke km kv mi nk no ny pe ' +
+    'ps sd sf sh sk sn so ss st sz tb to va ve vm za ze',
+  ID: 'ac ba bb be bt go ja jb ji jk jt jw ka kb ki kr ks kt ku la ma ml mu nb nt nu ' +
+    'pa pb pd pe pp ps pt ri sa sb sg sl sm sn sr ss st su yo',
+  IE: 'c ce cn co cw d dl g ke kk ky l ld lh lk lm ls m mh mn mo oy rn so ta u wd wh ' +
+    'ww wx',
+  IL: 'd ha jm m ta z',
+  IN: 'an ap ar as br cg ch dh dl ga gj hp hr jh jk ka kl la ld mh ml mn mp mz nl od ' +
+    'pb py rj sk tn tr ts uk up wb',
+  IQ: 'an ar ba bb bg da di dq ka ki kr ma mu na ni qa sd su wa',
+  IR: '00 01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 ' +
+    '26 27 28 29 30',
+  IS: '1 2 3 4 5 6 7 8 akn aku arn asa bla bog bol dab dav eom eyf fjd fjl fla flr gar ' +
+    'gog grn gru gry haf hrg hru hug huv hva hve isa kal kjo kop lan mos mul myr nor ' +
+    'rge rgy rhh rkn rkv sbt sdn sdv sel sfa shf skf skg sko skr snf sog sol sss str ' +
+    'sty svg tal thg tjo vem ver vop',
+  IT: '21 23 25 32 34 36 42 45 52 55 57 62 65 67 72 75 77 78 82 88 ag al an ap aq ar ' +
+    'at av ba bg bi bl bn bo br bs bt bz ca cb ce ch cl cn co cr cs ct cz en fc fe ' +
+    'fg fi fm fr ge go gr im is kr lc le li lo lt lu mb mc me mi mn mo ms mt na no ' +
+    'nu or pa pc pd pe pg pi pn po pr pt pu pv pz ra rc re rg ri rm rn ro sa si so ' +
+    'sp sr ss su sv ta te tn to tp tr ts tv ud va vb vc ve vi vr vt vv',
+  JM: '01 02 03 04 05 06 07 08 09 10 11 12 13 14',
+  JO: 'aj am aq at az ba ir ja ka ma md mn',
+  JP: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47',
+  KE: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47',
+  KG: 'b c gb go j n o t y',
+  KH: '1 10 11 12 13 14 15 16 17 18 19 2 20 21 22 23 24 25 3 4 5 6 7 8 9',
+  KI: 'g l p',
+  KM: 'a g m',
+  KN: '01 02 03 04 05 06 07 08 09 10 11 12 13 15 k n',
+  KP: '01 02 03 04 05 06 07 08 09 10 13 14 15',
+  KR: '11 26 27 28 29 30 31 41 42 43 44 45 46 47 48 49 50',
+  KW: 'ah fa ha ja ku mu',
+  KZ: '10 11 15 19 23 27 31 33 35 39 43 47 55 59 61 62 63 71 75 79',
+  LA: 'at bk bl ch ho kh lm lp ou ph sl sv vi vt xa xe xi xs',
+  LB: 'ak as ba bh bi ja jl na',
+  LC: '01 02 03 05 06 07 08 10 11 12',
+  LI: '01 02 03 04 05 06 07 08 09 10 11',
+  LK: '1 11 12 13 2 21 22 23 3 31 32 33 4 41 42 43 44 45 5 51 52 53 6 61 62 7 71 72 8 ' +
+    '81 82 9 91 92',
+  LR: 'bg bm cm gb gg gk gp lo mg mo my ni rg ri si',
+  LS: 'a b c d e f g h j k',
+  LT: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47 48 49 50 51 52 ' +
+    '53 54 55 56 57 58 59 60 al kl ku mr pn sa ta te ut vl',
+  LU: 'ca cl di ec es gr lu me rd rm vd wi',
+  LV: '002 007 011 015 016 022 026 033 041 042 047 050 052 054 056 058 059 062 067 068 ' +
+    '073 077 080 087 088 089 091 094 097 099 101 102 106 111 112 113 dgv jel jur lpx ' +
+    'rez rix ven',
+  LY: 'ba bu dr gt ja jg ji ju kf mb mi mj mq nl nq sb sr tb wa wd ws za',
+  MA: '01 02 03 04 05 06 07 08 09 10 11 12 agd aou asz azi bem ber bes bod bom brr cas ' +
+    'che chi cht dri err esi esm fah fes fig fqh gue guf haj hao hoc ifr ine jdi jra ' +
+    'ken kes khe khn kho laa lar mar mdf med mek mid moh mou nad nou oua oud ouj ouz ' +
+    'rab reh saf sal sef set sib sif sik sil skh taf tai tao tar tat taz tet tin tiz ' +
+    'tng tnt yus zag',
+  MC: 'cl co fo ga je la ma mc mg mo mu ph sd so sp sr vr',
+  MD: 'an ba bd br bs ca cl cm cr cs ct cu do dr du ed fa fl ga gl hi ia le ni oc or ' +
+    're ri sd si sn so st sv ta te un',
+  ME: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25',
+  MG: 'a d f m t u',
+  MH: 'alk all arn aur ebo eni jab jal kil kwa l lae lib lik maj mal mej mil nmk nmu ' +
+    'ron t uja uti wth wtj',
+  MK: '101 102 103 104 105 106 107 108 109 201 202 203 204 205 206 207 208 209 210 211 ' +
+    '301 303 304 307 308 310 311 312 313 401 402 403 404 405 406 407 408 409 410 501 ' +
+    '502 503 504 505 506 507 508 509 601 602 603 604 605 606 607 608 609 701 702 703 ' +
+    '704 705 706 801 802 803 804 805 806 807 808 809 810 811 812 813 814 815 816 817',
+  ML: '1 10 2 3 4 5 6 7 8 9 bko',
+  MM: '01 02 03 04 05 06 07 11 12 13 14 15 16 17 18',
+  MN: '035 037 039 041 043 046 047 049 051 053 055 057 059 061 063 064 065 067 069 071 ' +
+    '073 1',
+  MR: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15',
+  MT: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47 48 49 50 51 52 ' +
+    '53 54 55 56 57 58 59 60 61 62 63 64 65 66 67 68',
+  MU: 'ag bl cc fl gp mo pa pl pw ro rr sa',
+  MV: '00 01 02 03 04 05 07 08 12 13 14 17 20 23 24 25 26 27 28 29 mle',
+  MW: 'ba bl c ck cr ct de do kr ks li lk mc mg mh mu mw mz n nb ne ni nk ns nu ph ru ' +
+    's sa th zo',
+  MX: 'agu bcn bcs cam chh chp cmx coa col dur gro gua hid jal mex mic mor nay nle oax ' +
+    'pue que roo sin slp son tab tam tla ver yuc zac',
+  MY: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16',
+  MZ: 'a b g i l mpm n p q s t',
+  NA: 'ca er ha ka ke kh ku kw od oh on os ot ow',
+  NE: '1 2 3 4 5 6 7 8',
+  NG: 'ab ad ak an ba be bo by cr de eb ed ek en fc go im ji kd ke kn ko kt kw la na ' +
+    'ni og on os oy pl ri so ta yo za',
+  NI: 'an as bo ca ci co es gr ji le md mn ms mt ns ri sj',
+  NL: 'aw bq1 bq2 bq3 cw dr fl fr ge gr li nb nh ov sx ut ze zh',
+  NO: '03 11 15 18 21 22 30 34 38 42 46 50 54',
+  NP: 'p1 p2 p3 p4 p5 p6 p7',
+  NR: '01 02 03 04 05 06 07 08 09 10 11 12 13 14',
+  NZ: 'auk bop can cit gis hkb mbh mwt nsn ntl ota stl tas tki wgn wko wtc',
+  OM: 'bj bs bu da ma mu sj ss wu za zu',
+  PA: '1 10 2 3 4 5 6 7 8 9 em ky nb nt',
+  PE: 'ama anc apu are aya caj cal cus huc huv ica jun lal lam lim lma lor mdd moq pas ' +
+    'piu pun sam tac tum uca',
+  PG: 'cpk cpm ebr ehg epw esw gpk hla jwk mba mpl mpm mrl ncd nik npp nsb san shm wbk ' +
+    'whm wpd',
+  PH: '00 01 02 03 05 06 07 08 09 10 11 12 13 14 15 40 41 abr agn ags akl alb ant apa ' +
+    'aur ban bas ben bil boh btg btn buk bul cag cam can cap cas cat cav ceb com dao ' +
+    'das dav din dvo eas gui ifu ili iln ils isa kal lag lan las ley lun mad mas mdc ' +
+    'mdr mgn mgs mou msc msr nco nec ner nsa nue nuv pam pan plw que qui riz rom sar ' +
+    'sco sig sle slu sor suk sun sur tar taw wsa zan zas zmb zsi',
+  PK: 'ba gb is jk kp pb sd',
+  PL: '02 04 06 08 10 12 14 16 18 20 22 24 26 28 30 32',
+  PS: 'bth deb gza hbn jem jen jrh kys nbs ngz qqa rbh rfh slt tbs tkm',
+  PT: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 20 30',
+  PW: '002 004 010 050 100 150 212 214 218 222 224 226 227 228 350 370',
+  PY: '1 10 11 12 13 14 15 16 19 2 3 4 5 6 7 8 9 asu',
+  QA: 'da kh ms ra sh us wa za',
+  RO: 'ab ag ar b bc bh bn br bt bv bz cj cl cs ct cv db dj gj gl gr hd hr if il is mh ' +
+    'mm ms nt ot ph sb sj sm sv tl tm tr vl vn vs',
+  RS: '00 01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 ' +
+    '26 27 28 29 km vo',
+  RU: 'ad al alt amu ark ast ba bel bry bu ce che chu cu da in irk iva kam kb kc kda ' +
+    'kem kgd kgn kha khm kir kk kl klu ko kos kr krs kya len lip mag me mo mos mow ' +
+    'mur nen ngr niz nvs oms ore orl per pnz pri psk ros rya sa sak sam sar se smo ' +
+    'spe sta sve ta tam tom tul tve ty tyu ud uly vgg vla vlg vor yan yar yev zab',
+  RW: '01 02 03 04 05',
+  SA: '01 02 03 04 05 06 07 08 09 10 11 12 14',
+  SB: 'ce ch ct gu is mk ml rb te we',
+  SC: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 27',
+  SD: 'dc de dn ds dw gd gk gz ka kh kn ks nb no nr nw rs si',
+  SE: 'ab ac bd c d e f g h i k m n o s t u w x y z',
+  SG: '01 02 03 04 05',
+  SH: 'ac hl ta',
+  SI: '001 002 003 004 005 006 007 008 009 010 011 012 013 014 015 016 017 018 019 020 ' +
+    '021 022 023 024 025 026 027 028 029 030 031 032 033 034 035 036 037 038 039 040 ' +
+    '041 042 043 044 045 046 047 048 049 050 051 052 053 054 055 056 057 058 059 060 ' +
+    '061 062 063 064 065 066 067 068 069 070 071 072 073 074 075 076 077 078 079 080 ' +
+    '081 082 083 084 085 086 087 088 089 090 091 092 093 094 095 096 097 098 099 100 ' +
+    '101 102 103 104 105 106 107 108 109 110 111 112 113 114 115 116 117 118 119 120 ' +
+    '121 122 123 124 125 126 127 128 129 130 131 132 133 134 135 136 137 138 139 140 ' +
+    '141 142 143 144 146 147 148 149 150 151 152 153 154 155 156 157 158 159 160 161 ' +
+    '162 163 164 165 166 167 168 169 170 171 172 173 174 175 176 177 178 179 180 181 ' +
+    '182 183 184 185 186 187 188 189 190 191 192 193 194 195 196 197 198 199 200 201 ' +
+    '202 203 204 205 206 207 208 209 210 211 212 213',
+  SK: 'bc bl ki ni pv ta tc zi',
+  SL: 'e n nw s w',
+  SM: '01 02 03 04 05 06 07 08 09',
+  SN: 'db dk fk ka kd ke kl lg mt se sl tc th zg',
+  SO: 'aw bk bn br by ga ge hi jd jh mu nu sa sd sh so to wo',
+  SR: 'br cm cr ma ni pm pr sa si wa',
+  SS: 'bn bw ec ee ew jg lk nu uy wr',
+  ST: '01 02 03 04 05 06 p',
+  SV: 'ah ca ch cu li mo pa sa sm so ss sv un us',
+  SY: 'di dr dy ha hi hl hm id la qu ra rd su ta',
+  SZ: 'hh lu ma sh',
+  TD: 'ba bg bo cb ee eo gr hl ka lc lo lr ma mc me mo nd od sa si ta ti wf',
+  TG: 'c k m p s',
+  TH: '10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 27 30 31 32 33 34 35 36 37 ' +
+    '38 39 40 41 42 43 44 45 46 47 48 49 50 51 52 53 54 55 56 57 58 60 61 62 63 64 ' +
+    '65 66 67 70 71 72 73 74 75 76 77 80 81 82 83 84 85 86 90 91 92 93 94 95 96 s',
+  TJ: 'du gb kt ra su',
+  TL: 'al an ba bo co di er la li mf mt oe vi',
+  TM: 'a b d l m s',
+  TN: '11 12 13 14 21 22 23 31 32 33 34 41 42 43 51 52 53 61 71 72 73 81 82 83',
+  TO: '01 02 03 04 05',
+  TR: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31 32 33 34 35 36 37 38 39 40 41 42 43 44 45 46 47 48 49 50 51 52 ' +
+    '53 54 55 56 57 58 59 60 61 62 63 64 65 66 67 68 69 70 71 72 73 74 75 76 77 78 ' +
+    '79 80 81',
+  TT: 'ari cha ctt dmn mrc ped pos prt ptf sfo sge sip sjl tob tup',
+  TV: 'fun nit nkf nkl nma nmg nui vai',
+  TW: 'cha cyi cyq hsq hsz hua ila kee khh kin lie mia nan nwt pen pif tao tnn tpe ttt ' +
+    'txg yun',
+  TZ: '01 02 03 04 05 06 07 08 09 10 11 12 13 14 15 16 17 18 19 20 21 22 23 24 25 26 ' +
+    '27 28 29 30 31',
+  UA: '05 07 09 12 14 18 21 23 26 30 32 35 40 43 46 48 51 53 56 59 61 63 65 68 71 74 77',
+  UG: '101 102 103 104 105 106 107 108 109 110 111 112 113 114 115 116 117 118 119 120 ' +
+    '121 122 123 124 125 126 201 202 203 204 205 206 207 208 209 210 211 212 213 214 ' +
+    '215 216 217 218 219 220 221 222 223 224 225 226 227 228 229 230 231 232 233 234 ' +
+    '235 236 237 301 302 303 304 305 306 307 308 309 310 311 312 313 314 315 316 317 ' +
+    '318 319 320 321 322 323 324 325 326 327 328 329 330 331 332 333 334 335 336 337 ' +
+    '401 402 403 404 405 406 407 408 409 410 411 412 413 414 415 416 417 418 419 420 ' +
+    '421 422 423 424 425 426 427 428 429 430 431 432 433 434 435 c e n w',
+  UM: '67 71 76 79 81 84 86 89 95',
+  US: 'ak al ar as az ca co ct dc de fl ga gu hi ia id il in ks ky la ma md me mi mn ' +
+    'mo mp ms mt nc nd ne nh nj nm nv ny oh ok or pa pr ri sc sd tn tx um ut va vi ' +
+    'vt wa wi wv wy',
+  UY: 'ar ca cl co du fd fs la ma mo pa rn ro rv sa sj so ta tt',
+  UZ: 'an bu fa ji ng nw qa qr sa si su tk to xo',
+  VC: '01 02 03 04 05 06',
+  VE: 'a b c d e f g h i j k l m n o p r s t u v w x y z',
+  VN: '01 02 03 04 05 06 07 09 13 14 18 20 21 22 23 24 25 26 27 28 29 30 31 32 33 34 ' +
+    '35 36 37 39 40 41 43 44 45 46 47 49 50 51 52 53 54 55 56 57 58 59 61 63 66 67 ' +
+    '68 69 70 71 72 73 ct dn hn hp sg',
+  VU: 'map pam sam see tae tob',
+  WF: 'al sg uv',
+  WS: 'aa al at fa ge gi pa sa tu vf vs',
+  YE: 'ab ad am ba da dh hd hj hu ib ja la ma mr mw ra sa sd sh sn su ta',
+  ZA: 'ec fs gp kzn lp mp nc nw wc',
+  ZM: '01 02 03 04 05 06 07 08 09 10',
+  ZW: 'bu ha ma mc me mi mn ms mv mw'
+};
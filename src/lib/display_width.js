@@ -0,0 +1,45 @@
+import { WIDE_RANGES, AMBIGUOUS_RANGES } from './data/east_asian_width.js';
+import { inRanges } from './ranges.js';
+
+/**
+ * Display width helpers - terminal column widths of grapheme clusters,
+ * based on East Asian Width (UAX #11) and emoji presentation (UTS #51).
+ */
+
+const ZERO_WIDTH_BASE = /^[\p{Mn}\p{Me}\p{Default_Ignorable_Code_Point}\u1160-\u11FF\uD7B0-\uD7FF]/u;
+const CONTROL = /^\p{Cc}/u;
+const EMOJI = /^\p{Emoji}/u;
+const EMOJI_PRESENTATION = /^[\p{Emoji_Presentation}\p{Regional_Indicator}]/u;
+const EMOJI_SEQUENCE = /^\p{Extended_Pictographic}.*[\u200D\u{1F3FB}-\u{1F3FF}]/u;
+
+/**
+ * Returns the number of terminal columns a grapheme cluster occupies.
+ * Control characters, combining marks and default-ignorable characters take 0,
+ * emoji presentation sequences and East Asian Wide/Fullwidth characters take 2,
+ * East Asian Ambiguous characters take ambiguousWidth, and everything else takes 1.
+ * @param {string} grapheme - A single grapheme cluster
+ * @param {number} [ambiguousWidth=1] - Width of East Asian Ambiguous characters (1 or 2)
+ * @returns {number} The width in columns (0, 1 or 2)
+ * @example
+ * graphemeWidth("日")   // 2
+ * graphemeWidth("☀️")  // 2
+ * graphemeWidth("a")   // 1
+ */
+const graphemeWidth = (grapheme, ambiguousWidth = 1) => {
+  if (grapheme === '' || CONTROL.test(grapheme) || ZERO_WIDTH_BASE.test(grapheme)) {
+    return 0;
+  }
+  
+  if (EMOJI.test(grapheme)) {
+    if (grapheme.includes('\uFE0F')) return 2;
+    if (grapheme.includes('\uFE0E')) return 1;
+    if (EMOJI_PRESENTATION.test(grapheme) || EMOJI_SEQUENCE.test(grapheme)) return 2;
+  }
+  
+  const cp = grapheme.codePointAt(0);
+  if (inRanges(WIDE_RANGES, cp)) return 2;
+  if (inRanges(AMBIGUOUS_RANGES, cp)) return ambiguousWidth;
+  return 1;
+};
+
+export { graphemeWidth };
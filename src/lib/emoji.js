@@ -0,0 +1,265 @@
+import { REGION_CODES, SUBDIVISION_CODES } from './data/regions.js';
+import { RGI_EMOJI_SEQUENCES } from './data/rgi_emoji.js';
+
+/**
+ * Emoji helpers - recognizes the emoji sequences of UTS #51 (Unicode Emoji) within a
+ * single grapheme cluster.
+ */
+
+const FLAG = /^(?:\p{Regional_Indicator}{2}|\u{1F3F4}[\u{E0020}-\u{E007E}]+\u{E007F})$/u;
+const KEYCAP = /^[0-9#*]\uFE0F?\u20E3$/u;
+const SKIN_TONE = /\p{Emoji_Modifier}/u;
+const ZWJ_SEQUENCE = /\p{Extended_Pictographic}[\p{Emoji_Modifier}\uFE0F]*\u200D\p{Extended_Pictographic}/u;
+const MODIFIER = /^\p{Emoji_Modifier}$/u;
+const MODIFIER_BASE = /^\p{Emoji_Modifier_Base}$/u;
+const EMOJI_TAIL = /^[\p{Extended_Pictographic}\p{Emoji_Modifier}\uFE0F]$/u;
+const TEXT_DEFAULT = /^(?!\p{Emoji_Presentation})\p{Emoji}$/u;
+const VS16 = '\uFE0F';
+const ZWJ = '\u200D';
+const REGIONAL_INDICATOR_A = 0x1F1E6;
+const TAG_BASE = 0xE0000;
+const BLACK_FLAG = '\u{1F3F4}';
+const CANCEL_TAG = '\u{E007F}';
+const REGION_CODE = /^([A-Za-z]{2})(?:-?([A-Za-z0-9]{1,3}))?$/;
+
+/**
+ * Builds an RGI emoji matcher from the bundled Unicode 15.1 sequences, for engines
+ * without the regular expression v flag.
+ * @returns {{test: function(string): boolean}} The matcher
+ */
+const bundledRgiEmojiMatcher = () => {
+  const sequences = new Set(RGI_EMOJI_SEQUENCES.map(sequence =>
+    String.fromCodePoint(...sequence.split(' ').map(hex => parseInt(hex, 16)))));
+  return { test: grapheme => sequences.has(grapheme) };
+};
+
+/**
+ * Builds the RGI emoji matcher: the engine's \p{RGI_Emoji} where the regular
+ * expression v flag is supported, so it follows the engine's Unicode version, and
+ * the bundled sequences otherwise.
+ * @returns {{test: function(string): boolean}} The matcher
+ */
+const rgiEmojiMatcher = () => {
+  try {
+    return new RegExp('^\\p{RGI_Emoji}$', 'v');
+  } catch {
+    return bundledRgiEmojiMatcher();
+  }
+};
+
+const RGI_EMOJI = rgiEmojiMatcher();
+const regions = new Set(REGION_CODES);
+const subdivisions = new Set(Object.entries(SUBDIVISION_CODES).flatMap(([region, list]) =>
+  list.split(' ').map(suffix => region.toLowerCase() + suffix)));
+
+/**
+ * Skin tone modifiers (U+1F3FB..U+1F3FF) by their CLDR names.
+ */
+const SKIN_TONES = {
+  'light': '\u{1F3FB}',
+  'medium-light': '\u{1F3FC}',
+  'medium': '\u{1F3FD}',
+  'medium-dark': '\u{1F3FE}',
+  'dark': '\u{1F3FF}'
+};
+
+/**
+ * Checks whether a grapheme is a recommended-for-general-interchange (RGI) emoji,
+ * i.e. one that vendors are expected to render as a single emoji.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {boolean} true for RGI emoji, including sequences
+ */
+const isRgiEmoji = (grapheme) => RGI_EMOJI.test(grapheme);
+
+/**
+ * Checks whether a grapheme is a flag: a regional indicator pair or a tag sequence.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {boolean} true for flag sequences, valid or not
+ */
+const isFlag = (grapheme) => FLAG.test(grapheme);
+
+/**
+ * Checks whether a grapheme is a keycap sequence such as 1\uFE0F\u20E3 or #\uFE0F\u20E3.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {boolean} true for keycap sequences
+ */
+const isKeycap = (grapheme) => KEYCAP.test(grapheme);
+
+/**
+ * Checks whether a grapheme contains an emoji skin tone modifier.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {boolean} true if U+1F3FB..U+1F3FF occurs in the grapheme
+ */
+const hasSkinTone = (grapheme) => SKIN_TONE.test(grapheme);
+
+/**
+ * Checks whether a code point can end an emoji, i.e. be followed by a ZWJ that
+ * joins it to the next pictograph: a pictograph, a skin tone modifier or VS16.
+ * @param {string} char - A single code point
+ * @returns {boolean} true for code points that can precede an emoji ZWJ
+ */
+const isEmojiTail = (char) => EMOJI_TAIL.test(char);
+
+/**
+ * Checks whether a grapheme joins pictographs with ZERO WIDTH JOINER.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {boolean} true for emoji ZWJ sequences
+ */
+const isZwjSequence = (grapheme) => ZWJ_SEQUENCE.test(grapheme);
+
+/**
+ * Resolves a skin tone given by name or as a modifier character.
+ * @param {string} tone - 'light', 'medium-light', 'medium', 'medium-dark', 'dark',
+ *   or one of U+1F3FB..U+1F3FF
+ * @returns {string} The modifier character
+ * @throws {RangeError} If tone is not a skin tone
+ */
+const resolveSkinTone = (tone) => {
+  if (Object.hasOwn(SKIN_TONES, tone)) return SKIN_TONES[tone];
+  if (typeof tone === 'string' && MODIFIER.test(tone)) return tone;
+  throw new RangeError(`Invalid skin tone: ${tone}`);
+};
+
+/**
+ * Rewrites the skin tones of a grapheme: existing modifiers on modifier bases are
+ * dropped, and the tone, if given, follows every base that should carry one, replacing
+ * a presentation selector. Bases in the middle of a ZWJ sequence can be left bare, as
+ * the handshake in "people holding hands" is.
+ * @param {string} grapheme - A single grapheme cluster
+ * @param {string} tone - A modifier character, or '' to strip tones
+ * @param {boolean} [skipInner=false] - Whether to leave bases between two ZWJs bare
+ * @returns {string} The rewritten grapheme
+ */
+const withSkinTone = (grapheme, tone, skipInner = false) => {
+  const chars = [...grapheme];
+  let result = '';
+  for (let i = 0; i < chars.length; i++) {
+    if (MODIFIER.test(chars[i]) && MODIFIER_BASE.test(chars[i - 1] ?? '')) continue;
+    result += chars[i];
+    if (tone === '' || !MODIFIER_BASE.test(chars[i])) continue;
+    const next = chars[i + 1] === VS16 || MODIFIER.test(chars[i + 1] ?? '') ?
+      chars[i + 2] : chars[i + 1];
+    if (skipInner && chars[i - 1] === ZWJ && next === ZWJ) continue;
+    result += tone;
+    if (chars[i + 1] === VS16) i++;
+  }
+  return result;
+};
+
+/**
+ * Adds U+FE0F after every emoji character that defaults to text presentation.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {string} The grapheme with emoji presentation requested throughout
+ */
+const withEmojiPresentation = (grapheme) => {
+  const chars = [...grapheme];
+  let result = '';
+  for (let i = 0; i < chars.length; i++) {
+    result += chars[i];
+    const next = chars[i + 1] ?? '';
+    if (TEXT_DEFAULT.test(chars[i]) && next !== VS16 && !MODIFIER.test(next)) result += VS16;
+  }
+  return result;
+};
+
+/**
+ * Removes the skin tones from a grapheme, restoring the presentation selector a
+ * modifier had replaced when the bare emoji needs one to stay fully qualified.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {string} The grapheme without skin tones
+ */
+const stripSkinTone = (grapheme) => {
+  const stripped = withSkinTone(grapheme, '');
+  if (stripped === grapheme || isRgiEmoji(stripped)) return stripped;
+  const qualified = withEmojiPresentation(stripped);
+  return isRgiEmoji(qualified) ? qualified : stripped;
+};
+
+/**
+ * Gives every modifier base in a grapheme the same skin tone, if the result is an
+ * RGI emoji; otherwise the grapheme is returned unchanged.
+ * @param {string} grapheme - A single grapheme cluster
+ * @param {string} tone - A modifier character
+ * @returns {string} The toned grapheme
+ */
+const applySkinTone = (grapheme, tone) => {
+  for (const skipInner of [false, true]) {
+    const toned = withSkinTone(grapheme, tone, skipInner);
+    if (isRgiEmoji(toned)) return toned;
+  }
+  return grapheme;
+};
+
+/**
+ * Requests emoji presentation for a grapheme, if that makes it an RGI emoji;
+ * otherwise the grapheme is returned unchanged.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {string} The fully qualified grapheme
+ */
+const addEmojiPresentation = (grapheme) => {
+  const qualified = withEmojiPresentation(grapheme);
+  return qualified !== grapheme && isRgiEmoji(qualified) ? qualified : grapheme;
+};
+
+/**
+ * Removes the emoji presentation selectors (U+FE0F) from a grapheme, if the result
+ * is an RGI emoji or a single text-default character; otherwise the grapheme is
+ * returned unchanged, since keycaps and most ZWJ sequences are not valid without them.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {string} The grapheme in its default presentation
+ */
+const removeEmojiPresentation = (grapheme) => {
+  const stripped = grapheme.replaceAll(VS16, '');
+  return stripped !== grapheme && (isRgiEmoji(stripped) || TEXT_DEFAULT.test(stripped))
+    ? stripped : grapheme;
+};
+
+/**
+ * Converts a region code to its flag: an ISO 3166-1 code such as 'JP' to a regional
+ * indicator pair, or a subdivision code such as 'GB-ENG' (or 'gbeng') to a tag sequence.
+ * @param {string} code - The region or subdivision code, in any case
+ * @returns {string} The flag emoji
+ * @throws {TypeError} If code is not a string
+ * @throws {RangeError} If code is not a known region or subdivision
+ */
+const regionCodeToFlag = (code) => {
+  if (typeof code !== 'string') {
+    throw new TypeError(`Region code must be a string, got ${typeof code}`);
+  }
+  const match = REGION_CODE.exec(code);
+  const region = match?.[1].toUpperCase();
+  if (match !== null && match[2] === undefined && regions.has(region)) {
+    return String.fromCodePoint(...[...region].map(char =>
+      REGIONAL_INDICATOR_A + char.charCodeAt(0) - 0x41));
+  }
+  const tag = match !== null && match[2] !== undefined ?
+    (match[1] + match[2]).toLowerCase() : undefined;
+  if (!subdivisions.has(tag)) throw new RangeError(`Unknown region code: ${code}`);
+  return BLACK_FLAG + String.fromCodePoint(...[...tag].map(char =>
+    TAG_BASE + char.charCodeAt(0))) + CANCEL_TAG;
+};
+
+/**
+ * Reads the region code of a flag grapheme: 'JP' for a regional indicator pair, or
+ * 'GB-ENG' for a subdivision tag sequence.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {Object|null} code and isValid (whether the code is a known region or
+ *   subdivision), or null if the grapheme is not a flag
+ */
+const flagToRegionCode = (grapheme) => {
+  if (!isFlag(grapheme)) return null;
+  const codePoints = [...grapheme].map(char => char.codePointAt(0));
+  if (codePoints[0] !== BLACK_FLAG.codePointAt(0)) {
+    const code = String.fromCharCode(...codePoints.map(cp => cp - REGIONAL_INDICATOR_A + 0x41));
+    return { code, isValid: regions.has(code) };
+  }
+  const tag = String.fromCharCode(...codePoints.slice(1, -1).map(cp => cp - TAG_BASE));
+  const code = `${tag.slice(0, 2)}-${tag.slice(2)}`.toUpperCase();
+  return { code, isValid: subdivisions.has(tag) };
+};
+
+export {
+  bundledRgiEmojiMatcher, isRgiEmoji, isFlag, isKeycap, hasSkinTone, isZwjSequence, isEmojiTail,
+  resolveSkinTone, stripSkinTone, applySkinTone, addEmojiPresentation,
+  removeEmojiPresentation, regionCodeToFlag, flagToRegionCode
+};
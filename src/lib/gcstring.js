@@ -1,16 +1,218 @@
+import {
+  bidiClass, dominantDirection, firstStrongDirection, isNumber, isRtl, matchBidiControls
+} from './bidi.js';
+import { foldCase, isDutch, titleCaseGrapheme } from './case_mapping.js';
+import { classifyGrapheme } from './classify.js';
+import { skeleton } from './confusables.js';
+import {
+  addEmojiPresentation, applySkinTone, flagToRegionCode, hasSkinTone, regionCodeToFlag,
+  removeEmojiPresentation, resolveSkinTone, stripSkinTone
+} from './emoji.js';
+import { graphemeWidth } from './display_width.js';
+import { graphemeInvisibles } from './invisibles.js';
+import { findLineBreaks, isHardBreak, lineBreakClass, NO_BREAK } from './line_break.js';
+import { checkMarkLimit, graphemeProblems, sanitizeGrapheme } from './sanitize.js';
+import { isMixedScript, isNeutralScript, scriptOf } from './scripts.js';
+
 /**
- * Create segmenter closure - instantiated once, reused for all GCString instances.
+ * Grapheme segmenter - instantiated once, reused for all GCString instances.
  * Uses Intl.Segmenter with undefined locale (grapheme boundaries are locale-independent).
- * @returns {Function} A function that segments a string into grapheme clusters
  */
-const segmentIntoGraphemes = (() => {
-  const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+const graphemeSegmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Returns a cached word or sentence segmenter for a locale.
+ * @returns {Function} A function taking a granularity and locale, returning an Intl.Segmenter
+ */
+const getSegmenter = (() => {
+  const segmenters = new Map();
+  
+  return (granularity, locale) => {
+    const key = `${granularity}|${[].concat(locale ?? []).join(',')}`;
+    if (!segmenters.has(key)) {
+      segmenters.set(key, new Intl.Segmenter(locale, { granularity }));
+    }
+    return segmenters.get(key);
+  };
+})();
+
+/**
+ * Returns a cached search collator for a locale and sensitivity.
+ * @returns {Function} A function taking a locale and sensitivity, returning an Intl.Collator
+ */
+const getCollator = (() => {
+  const collators = new Map();
   
-  return (str) => {
-    return [...segmenter.segment(str)].map(s => s.segment);
+  return (locale, sensitivity) => {
+    const key = `${sensitivity}|${[].concat(locale ?? []).join(',')}`;
+    if (!collators.has(key)) {
+      collators.set(key, new Intl.Collator(locale, { usage: 'search', sensitivity }));
+    }
+    return collators.get(key);
   };
 })();
 
+/**
+ * Dotted capital I (U+0130), precomposed and decomposed, which case-insensitive
+ * Turkish search also matches with a plain capital I.
+ */
+const DOTTED_CAPITAL_I = new Set(['\u0130', 'I\u0307']);
+
+/**
+ * Matches graphemes after which a word may be capitalized: whitespace and punctuation.
+ * Words glued to anything else, such as a leading emoji, are left alone.
+ */
+const WORD_SEPARATOR = /^[\p{White_Space}\p{P}]/u;
+
+/**
+ * Segments a string into an array of grapheme clusters.
+ * @param {string} str - The string to segment
+ * @returns {Array<string>} The grapheme clusters
+ */
+const segmentIntoGraphemes = (str) => {
+  return [...graphemeSegmenter.segment(str)].map(s => s.segment);
+};
+
+/**
+ * Segments a string into a compact table of grapheme boundaries: the code unit
+ * offset at which each grapheme starts, followed by the string length.
+ * @param {string} str - The string to segment
+ * @returns {Uint32Array} Grapheme boundary offsets (grapheme count + 1 entries)
+ */
+const segmentIntoBoundaries = (str) => {
+  const boundaries = new Uint32Array(str.length + 1);
+  let count = 0;
+  for (const { index } of graphemeSegmenter.segment(str)) {
+    boundaries[count++] = index;
+  }
+  boundaries[count] = str.length;
+  return boundaries.slice(0, count + 1);
+};
+
+/**
+ * Re-measures grapheme boundaries in another unit using a per-grapheme size.
+ * @param {string} str - The segmented string
+ * @param {Uint32Array} boundaries - Code unit grapheme boundaries of str
+ * @param {Function} measure - Returns the size of one grapheme in the target unit
+ * @returns {Uint32Array} Boundary offsets in the target unit
+ */
+const measureBoundaries = (str, boundaries, measure) => {
+  const result = new Uint32Array(boundaries.length);
+  for (let i = 1; i < boundaries.length; i++) {
+    result[i] = result[i - 1] + measure(str.slice(boundaries[i - 1], boundaries[i]));
+  }
+  return result;
+};
+
+/**
+ * Counts the code points in a string (lone surrogates count as one each).
+ * @param {string} str - The string to measure
+ * @returns {number} The code point count
+ */
+const codePointCount = (str) => {
+  let count = 0;
+  for (const _ of str) count++;
+  return count;
+};
+
+/**
+ * Counts the bytes of a string in UTF-8. Lone surrogates count as the
+ * three bytes of U+FFFD, matching TextEncoder.
+ * @param {string} str - The string to measure
+ * @returns {number} The UTF-8 byte count
+ */
+const utf8ByteCount = (str) => {
+  let count = 0;
+  for (const char of str) {
+    const cp = char.codePointAt(0);
+    count += cp < 0x80 ? 1 : cp < 0x800 ? 2 : cp < 0x10000 ? 3 : 4;
+  }
+  return count;
+};
+
+/**
+ * Resolves a relative index the way Array.prototype.slice does.
+ * @param {number} index - The index (negative counts from end)
+ * @param {number} length - The length being indexed
+ * @returns {number} An index clamped to 0..length
+ */
+const resolveIndex = (index, length) => {
+  const n = Math.trunc(Number(index)) || 0;
+  return n < 0 ? Math.max(length + n, 0) : Math.min(n, length);
+};
+
+/**
+ * Returns a function measuring one grapheme in a truncation unit.
+ * @param {string} unit - 'grapheme', 'width', 'utf16' or 'utf8'
+ * @param {number} ambiguousWidth - Width of East Asian Ambiguous characters
+ * @returns {Function} The measuring function
+ * @throws {RangeError} If unit is invalid
+ */
+const unitMeasure = (unit, ambiguousWidth) => {
+  switch (unit) {
+    case 'grapheme': return () => 1;
+    case 'width': return (g) => graphemeWidth(g, ambiguousWidth);
+    case 'utf16': return (g) => g.length;
+    case 'utf8': return utf8ByteCount;
+    default: throw new RangeError(`Invalid unit: ${unit}`);
+  }
+};
+
+/**
+ * Finds the grapheme whose boundary is the last one at or before a code unit offset.
+ * @param {ArrayLike<number>} boundaries - Ascending grapheme boundary offsets
+ * @param {number} offset - A code unit offset
+ * @returns {number} The index of the boundary at or before the offset
+ */
+const floorBoundary = (boundaries, offset) => {
+  let low = 0;
+  let high = boundaries.length - 1;
+  while (low < high) {
+    const mid = (low + high + 1) >> 1;
+    if (boundaries[mid] <= offset) low = mid;
+    else high = mid - 1;
+  }
+  return low;
+};
+
+/**
+ * Expands `$` patterns in a replacement template, as String.prototype.replace does.
+ * @param {string} template - The replacement template
+ * @param {string} matched - The matched text
+ * @param {string} str - The whole string being searched
+ * @param {number} start - Code unit offset where the match starts
+ * @param {Array<string|undefined>} captures - Capture group values
+ * @param {Object|undefined} groups - Named capture group values
+ * @returns {string} The expanded replacement
+ */
+const expandReplacement = (template, matched, str, start, captures, groups) => {
+  return template.replace(/\$([$&`']|\d\d?|<([^>]*)>)/g, (token, key, name) => {
+    if (key === '$') return '$';
+    if (key === '&') return matched;
+    if (key === '`') return str.slice(0, start);
+    if (key === "'") return str.slice(start + matched.length);
+    if (name !== undefined) {
+      if (groups === undefined) return token;
+      return groups[name] ?? '';
+    }
+    let n = Number(key);
+    let rest = '';
+    if (key.length === 2 && (n < 1 || n > captures.length)) {
+      n = Number(key[0]);
+      rest = key[1];
+    }
+    if (n < 1 || n > captures.length) return token;
+    return (captures[n - 1] ?? '') + rest;
+  });
+};
+
+/**
+ * Module-private factory that wraps a string whose grapheme boundaries are already known.
+ * Assigned in GCString's static initialization block.
+ * @type {Function}
+ */
+let fromSegmentation;
+
 /**
  * GCString - A grapheme cluster aware string wrapper class.
  * 
@@ -27,16 +229,80 @@ const segmentIntoGraphemes = (() => {
  */
 
 class GCString {
-  #value;
-  #graphemes;
+  #valueCache;
+  #source;
+  #table;
+  #start = 0;
+  #end;
+  #boundaries;
+  #graphemeCache;
+  #codePointBoundaries;
+  #byteBoundaries;
   
   /**
    * Creates a new GCString instance.
+   * Segmentation is deferred until a grapheme-dependent member is first used.
    * @param {string} str - The string to wrap
    */
   constructor(str) {
-    this.#value = String(str);
-    this.#graphemes = Object.freeze(segmentIntoGraphemes(this.#value));
+    this.#source = String(str);
+    this.#valueCache = this.#source;
+  }
+  
+  /**
+   * Creates the flag emoji for a region code: an ISO 3166-1 alpha-2 code such as 'JP',
+   * or a subdivision code such as 'GB-SCT' for the subdivision flags of England,
+   * Scotland and Wales.
+   * @param {string} code - The region or subdivision code, in any case
+   * @returns {GCString} A GCString holding the flag
+   * @throws {TypeError} If code is not a string
+   * @throws {RangeError} If code is not in the bundled list of regions
+   * @example
+   * GCString.fromRegionCode('JP')      // GCString("🇯🇵")
+   * GCString.fromRegionCode('gb-eng')  // GCString("🏴\u{E0067}\u{E0062}\u{E0065}\u{E006E}\u{E0067}\u{E007F}")
+   */
+  static fromRegionCode(code) {
+    return new GCString(regionCodeToFlag(code));
+  }
+  
+  static {
+    fromSegmentation = (str, boundaries) => {
+      const gc = new GCString(str);
+      gc.#table = boundaries;
+      gc.#end = boundaries.length - 1;
+      return gc;
+    };
+  }
+  
+  /**
+   * Creates a view of graphemes start..end of a GCString. The view shares the
+   * parent's source string and boundary table, and only materializes its own
+   * string when its value is read.
+   * @param {GCString} parent - The GCString to view
+   * @param {number} start - Starting grapheme index in the parent
+   * @param {number} end - Ending grapheme index in the parent
+   * @returns {GCString} The view
+   */
+  static #view(parent, start, end) {
+    const view = new GCString('');
+    view.#source = parent.#source;
+    view.#table = parent.#getTable();
+    view.#start = parent.#start + start;
+    view.#end = parent.#start + end;
+    view.#valueCache = undefined;
+    return view;
+  }
+  
+  /**
+   * The primitive string value, sliced from the source on first use by views.
+   * @returns {string} The string value
+   */
+  get #value() {
+    if (this.#valueCache === undefined) {
+      const table = this.#table;
+      this.#valueCache = this.#source.slice(table[this.#start], table[this.#end]);
+    }
+    return this.#valueCache;
   }
   
   /**
@@ -62,7 +328,8 @@ class GCString {
    * new GCString("👨‍👩‍👧‍👦").length  // 1 (not 11 code units)
    */
   get length() {
-    return this.#graphemes.length;
+    this.#getTable();
+    return this.#end - this.#start;
   }
   
   /**
@@ -70,7 +337,257 @@ class GCString {
    * @returns {number} The code unit count
    */
   get codeUnitLength() {
-    return this.#value.length;
+    if (this.#valueCache !== undefined) return this.#valueCache.length;
+    return this.#table[this.#end] - this.#table[this.#start];
+  }
+  
+  /**
+   * Gets the number of terminal columns the string occupies, counting East Asian
+   * Wide/Fullwidth characters and emoji as 2 and combining marks as 0.
+   * Ambiguous-width characters count as 1; use getDisplayWidth() to change that.
+   * @returns {number} The display width in columns
+   * @example
+   * new GCString("日本 ok").displayWidth  // 7
+   */
+  get displayWidth() {
+    return this.getDisplayWidth();
+  }
+  
+  /**
+   * Returns the number of terminal columns the string occupies.
+   * @param {Object} [options] - Width options
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters (1 or 2)
+   * @returns {number} The display width in columns
+   * @example
+   * new GCString("±1").getDisplayWidth({ ambiguousWidth: 2 })  // 3
+   */
+  getDisplayWidth({ ambiguousWidth = 1 } = {}) {
+    let width = 0;
+    for (let i = 0; i < this.length; i++) {
+      width += graphemeWidth(this.#graphemeAt(i), ambiguousWidth);
+    }
+    return width;
+  }
+  
+  /**
+   * Returns the number of terminal columns the grapheme at an index occupies.
+   * @param {number} index - Zero-based grapheme index
+   * @param {Object} [options] - Width options
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters (1 or 2)
+   * @returns {number} The width in columns (0, 1 or 2), or 0 if out of bounds
+   * @example
+   * new GCString("a☀️").widthAt(1)  // 2
+   */
+  widthAt(index, { ambiguousWidth = 1 } = {}) {
+    return graphemeWidth(this.#graphemeAt(index) ?? '', ambiguousWidth);
+  }
+  
+  /**
+   * Lazily segments the source string into the code unit offset at which each
+   * grapheme starts, followed by the source length. Views share this table
+   * with the GCString they were sliced from.
+   * @returns {Uint32Array} Grapheme boundary offsets into the source string
+   */
+  #getTable() {
+    if (this.#table === undefined) {
+      this.#table = segmentIntoBoundaries(this.#source);
+      this.#end = this.#table.length - 1;
+    }
+    return this.#table;
+  }
+  
+  /**
+   * Gets the grapheme boundary offsets relative to this string's own value,
+   * copied out of the shared table for views.
+   * @returns {Uint32Array} Grapheme boundary offsets (length + 1 entries)
+   */
+  #getBoundaries() {
+    if (this.#boundaries === undefined) {
+      const table = this.#getTable();
+      const base = table[this.#start];
+      const range = table.subarray(this.#start, this.#end + 1);
+      this.#boundaries = base === 0 && this.#end === table.length - 1 ?
+        table : range.map(offset => offset - base);
+    }
+    return this.#boundaries;
+  }
+  
+  /**
+   * The frozen array of grapheme clusters, materialized from the boundary table on first use.
+   * @returns {Array<string>} Immutable array of grapheme clusters
+   */
+  get #graphemes() {
+    if (this.#graphemeCache === undefined) {
+      const graphemes = new Array(this.length);
+      for (let i = 0; i < graphemes.length; i++) {
+        graphemes[i] = this.#graphemeAt(i);
+      }
+      this.#graphemeCache = Object.freeze(graphemes);
+    }
+    return this.#graphemeCache;
+  }
+  
+  /**
+   * Returns the grapheme at an index without materializing the grapheme array.
+   * The index is resolved like an array element lookup: integers and their canonical
+   * strings ("1") find a grapheme, anything else ("01", 1.5) does not.
+   * @param {number|string} index - Grapheme index
+   * @returns {string|undefined} The grapheme cluster, or undefined if out of bounds
+   */
+  #graphemeAt(index) {
+    const key = typeof index === 'symbol' ? '' : String(index);
+    const n = Number(key);
+    if (!Number.isInteger(n) || String(n) !== key || n < 0 || n >= this.length) {
+      return undefined;
+    }
+    const i = this.#start + n;
+    return this.#source.slice(this.#table[i], this.#table[i + 1]);
+  }
+  
+  /**
+   * Creates a view of a grapheme range, resolving indices like Array.prototype.slice.
+   * @param {number} [start] - Starting grapheme index (negative counts from end)
+   * @param {number} [end] - Ending grapheme index (negative counts from end)
+   * @returns {GCString} A view of the range
+   */
+  #sliceView(start, end) {
+    const length = this.length;
+    const from = start === undefined ? 0 : resolveIndex(start, length);
+    const to = end === undefined ? length : resolveIndex(end, length);
+    return GCString.#view(this, from, Math.max(from, to));
+  }
+  
+  /**
+   * Lazily builds the code point offset of each grapheme boundary.
+   * @returns {Uint32Array} Grapheme boundary offsets in code points
+   */
+  #getCodePointBoundaries() {
+    if (this.#codePointBoundaries === undefined) {
+      this.#codePointBoundaries =
+        measureBoundaries(this.#value, this.#getBoundaries(), codePointCount);
+    }
+    return this.#codePointBoundaries;
+  }
+  
+  /**
+   * Lazily builds the UTF-8 byte offset of each grapheme boundary.
+   * @returns {Uint32Array} Grapheme boundary offsets in UTF-8 bytes
+   */
+  #getByteBoundaries() {
+    if (this.#byteBoundaries === undefined) {
+      this.#byteBoundaries =
+        measureBoundaries(this.#value, this.#getBoundaries(), utf8ByteCount);
+    }
+    return this.#byteBoundaries;
+  }
+  
+  /**
+   * Looks up the offset of a grapheme boundary in a boundary table.
+   * @param {Uint32Array} boundaries - A grapheme boundary table
+   * @param {number} index - Grapheme index, from 0 to length inclusive
+   * @returns {number} The offset of the boundary
+   * @throws {RangeError} If index is not a grapheme boundary
+   */
+  #fromGraphemeIndex(boundaries, index) {
+    if (!Number.isInteger(index) || index < 0 || index >= boundaries.length) {
+      throw new RangeError(`Grapheme index out of range: ${index}`);
+    }
+    return boundaries[index];
+  }
+  
+  /**
+   * Finds the grapheme boundary for an offset in a boundary table.
+   * @param {Uint32Array} boundaries - A grapheme boundary table
+   * @param {number} offset - Offset in the table's unit
+   * @param {string} policy - 'floor', 'ceil' or 'throw' for offsets inside a cluster
+   * @returns {number} The grapheme index
+   * @throws {RangeError} If offset is out of range, or inside a cluster with policy 'throw'
+   */
+  #toGraphemeIndex(boundaries, offset, policy) {
+    if (policy !== 'floor' && policy !== 'ceil' && policy !== 'throw') {
+      throw new RangeError(`Invalid policy: ${policy}`);
+    }
+    if (!Number.isInteger(offset) || offset < 0 || offset > boundaries[boundaries.length - 1]) {
+      throw new RangeError(`Offset out of range: ${offset}`);
+    }
+    const index = floorBoundary(boundaries, offset);
+    if (boundaries[index] === offset) return index;
+    if (policy === 'throw') {
+      throw new RangeError(`Offset ${offset} is inside grapheme cluster ${index}`);
+    }
+    return policy === 'ceil' ? index + 1 : index;
+  }
+  
+  /**
+   * Converts a grapheme index into a UTF-16 code unit offset.
+   * @param {number} index - Grapheme index, from 0 to length inclusive
+   * @returns {number} The code unit offset where the grapheme starts
+   * @throws {RangeError} If index is out of range
+   * @example
+   * new GCString("👨‍👩‍👧‍👦 Hi").graphemeToCodeUnit(2)  // 12
+   */
+  graphemeToCodeUnit(index) {
+    return this.#fromGraphemeIndex(this.#getBoundaries(), index);
+  }
+  
+  /**
+   * Converts a UTF-16 code unit offset into a grapheme index.
+   * @param {number} offset - Code unit offset, from 0 to codeUnitLength inclusive
+   * @param {string} [policy='floor'] - For offsets inside a cluster: 'floor' returns the
+   *   cluster's index, 'ceil' the next index, 'throw' throws a RangeError
+   * @returns {number} The grapheme index
+   * @throws {RangeError} If offset is out of range, or inside a cluster with policy 'throw'
+   * @example
+   * new GCString("👨‍👩‍👧‍👦 Hi").codeUnitToGrapheme(5, 'ceil')  // 1
+   */
+  codeUnitToGrapheme(offset, policy = 'floor') {
+    return this.#toGraphemeIndex(this.#getBoundaries(), offset, policy);
+  }
+  
+  /**
+   * Converts a grapheme index into a code point offset.
+   * @param {number} index - Grapheme index, from 0 to length inclusive
+   * @returns {number} The code point offset where the grapheme starts
+   * @throws {RangeError} If index is out of range
+   * @example
+   * new GCString("👨‍👩‍👧‍👦 Hi").graphemeToCodePoint(2)  // 8
+   */
+  graphemeToCodePoint(index) {
+    return this.#fromGraphemeIndex(this.#getCodePointBoundaries(), index);
+  }
+  
+  /**
+   * Converts a code point offset into a grapheme index.
+   * @param {number} offset - Code point offset
+   * @param {string} [policy='floor'] - 'floor', 'ceil' or 'throw' for offsets inside a cluster
+   * @returns {number} The grapheme index
+   * @throws {RangeError} If offset is out of range, or inside a cluster with policy 'throw'
+   */
+  codePointToGrapheme(offset, policy = 'floor') {
+    return this.#toGraphemeIndex(this.#getCodePointBoundaries(), offset, policy);
+  }
+  
+  /**
+   * Converts a grapheme index into a UTF-8 byte offset.
+   * @param {number} index - Grapheme index, from 0 to length inclusive
+   * @returns {number} The UTF-8 byte offset where the grapheme starts
+   * @throws {RangeError} If index is out of range
+   * @example
+   * new GCString("é👋x").graphemeToByte(2)  // 6
+   */
+  graphemeToByte(index) {
+    return this.#fromGraphemeIndex(this.#getByteBoundaries(), index);
+  }
+  
+  /**
+   * Converts a UTF-8 byte offset into a grapheme index.
+   * @param {number} offset - UTF-8 byte offset
+   * @param {string} [policy='floor'] - 'floor', 'ceil' or 'throw' for offsets inside a cluster
+   * @returns {number} The grapheme index
+   * @throws {RangeError} If offset is out of range, or inside a cluster with policy 'throw'
+   */
+  byteToGrapheme(offset, policy = 'floor') {
+    return this.#toGraphemeIndex(this.#getByteBoundaries(), offset, policy);
   }
   
   /**
@@ -81,7 +598,7 @@ class GCString {
    * new GCString("👨‍👩‍👧‍👦 Hi").charAt(0)  // "👨‍👩‍👧‍👦"
    */
   charAt(index) {
-    return this.#graphemes[index] || '';
+    return this.#graphemeAt(index) || '';
   }
   
   /**
@@ -92,12 +609,46 @@ class GCString {
    * new GCString("Hello").at(-1)  // "o"
    */
   at(index) {
-    const i = index < 0 ? this.#graphemes.length + index : index;
-    return this.#graphemes[i];
+    const i = index < 0 ? this.length + index : index;
+    return this.#graphemeAt(i);
+  }
+  
+  /**
+   * Returns structured information about the grapheme cluster at an index: its code
+   * points, general category, base and combining marks, and which kind of emoji
+   * sequence it is.
+   * @param {number} index - Grapheme index (negative counts from end)
+   * @returns {Object|undefined} index, codeUnitIndex and the fields described in
+   *   classifyGrapheme(), or undefined if out of bounds
+   * @example
+   * new GCString("Hi 👋🏽").inspect(-1)
+   * // { index: 3, codeUnitIndex: 3, grapheme: "👋🏽", codePoints: [0x1F44B, 0x1F3FD],
+   * //   generalCategory: "So", base: "👋", marks: [], isRgiEmoji: true, isFlag: false,
+   * //   isKeycap: false, hasSkinTone: true, isZwjSequence: false }
+   */
+  inspect(index) {
+    const i = index < 0 ? this.length + index : index;
+    const grapheme = this.#graphemeAt(i);
+    if (grapheme === undefined) return undefined;
+    return { index: i, codeUnitIndex: this.#getBoundaries()[i], ...classifyGrapheme(grapheme) };
+  }
+  
+  /**
+   * Returns structured information about every grapheme cluster, as inspect() does.
+   * @returns {Array<Object>} One entry per grapheme
+   */
+  classify() {
+    const boundaries = this.#getBoundaries();
+    return this.#graphemes.map((grapheme, index) => ({
+      index,
+      codeUnitIndex: boundaries[index],
+      ...classifyGrapheme(grapheme)
+    }));
   }
   
   /**
    * Extracts a section of the string by grapheme positions and returns a new GCString.
+   * The result is a lightweight view sharing this string's segmentation.
    * @param {number} start - Starting grapheme index (inclusive)
    * @param {number} [end] - Ending grapheme index (exclusive)
    * @returns {GCString} A new GCString containing the extracted section
@@ -105,7 +656,7 @@ class GCString {
    * new GCString("👨‍👩‍👧‍👦 Hello").slice(0, 1)  // GCString("👨‍👩‍👧‍👦")
    */
   slice(start, end) {
-    return new GCString(this.#graphemes.slice(start, end).join(''));
+    return this.#sliceView(start, end);
   }
   
   /**
@@ -116,9 +667,9 @@ class GCString {
    */
   substring(start, end) {
     start = Math.max(0, start);
-    end = end === undefined ? this.#graphemes.length : Math.max(0, end);
+    end = end === undefined ? this.length : Math.max(0, end);
     if (start > end) [start, end] = [end, start];
-    return new GCString(this.#graphemes.slice(start, end).join(''));
+    return this.#sliceView(start, end);
   }
   
   /**
@@ -129,33 +680,113 @@ class GCString {
    * @returns {GCString} A new GCString containing the substring
    */
   substr(start, length) {
-    if (start < 0) start = Math.max(this.#graphemes.length + start, 0);
+    if (start < 0) start = Math.max(this.length + start, 0);
     const end = length === undefined ? undefined : start + length;
-    return new GCString(this.#graphemes.slice(start, end).join(''));
+    return this.#sliceView(start, end);
+  }
+  
+  /**
+   * Builds the units the search methods compare. Without a normalization form these are
+   * the graphemes themselves. With one, each grapheme is normalized on its own and
+   * re-segmented, so a compatibility form may expand a grapheme into several units.
+   * Units are compared strictly unless a locale or sensitivity asks for collation.
+   * With a case-insensitive sensitivity ('base' or 'accent') and a locale whose
+   * collator keeps I apart from i, as Turkish does, a capital I is matched with the
+   * dotted İ rather than the dotless ı, so "ISTANBUL" finds "İstanbul" but neither
+   * "istanbul" nor "ıstanbul".
+   * @param {Object} options - Search options
+   * @param {string} [options.normalization] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @param {string|string[]} [options.locale] - Locale or array of locales for collation
+   * @param {string} [options.sensitivity] - 'base', 'accent', 'case' or 'variant'
+   * @returns {Object} units and their equality function, plus starts (grapheme index to
+   *   first unit) and graphemeOf (unit index to grapheme index, or -1 inside a
+   *   grapheme); both null for graphemes
+   */
+  #searchUnits({ normalization, locale, sensitivity }) {
+    let equal = (a, b) => a === b;
+    if (locale !== undefined || sensitivity !== undefined) {
+      const collator = getCollator(locale, sensitivity);
+      const dottedPair = (sensitivity === 'base' || sensitivity === 'accent') &&
+        collator.compare('I', 'i') !== 0;
+      equal = (a, b) => {
+        if (dottedPair && (a === 'I' || b === 'I')) {
+          const other = a === 'I' ? b : a;
+          return other === 'I' || DOTTED_CAPITAL_I.has(other);
+        }
+        return collator.compare(a, b) === 0;
+      };
+    }
+    if (normalization === undefined) {
+      return { units: this.#graphemes, starts: null, graphemeOf: null, equal };
+    }
+    const graphemes = this.#graphemes;
+    const units = [];
+    const starts = new Array(graphemes.length + 1);
+    for (let i = 0; i < graphemes.length; i++) {
+      starts[i] = units.length;
+      units.push(...segmentIntoGraphemes(graphemes[i].normalize(normalization)));
+    }
+    starts[graphemes.length] = units.length;
+    const graphemeOf = new Int32Array(units.length + 1).fill(-1);
+    starts.forEach((unit, index) => { graphemeOf[unit] = index; });
+    return { units, starts, graphemeOf, equal };
+  }
+  
+  /**
+   * Segments a search string into units comparable with #searchUnits().
+   * @param {string|GCString} searchString - The string to search for
+   * @param {string} [normalization] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @returns {Array<string>} The search units
+   */
+  static #needleUnits(searchString, normalization) {
+    if (normalization !== undefined) {
+      return segmentIntoGraphemes(String(searchString).normalize(normalization));
+    }
+    return searchString instanceof GCString ? 
+      searchString.#graphemes : 
+      segmentIntoGraphemes(String(searchString));
+  }
+  
+  /**
+   * Checks whether the search units occur at a grapheme index, ending on a boundary
+   * of the original string.
+   * @param {Object} haystack - Result of #searchUnits()
+   * @param {number} index - Grapheme index where the match would start
+   * @param {Array<string>} needle - Result of #needleUnits()
+   * @returns {boolean} true if the units match at index
+   */
+  #matchesAt({ units, starts, graphemeOf, equal }, index, needle) {
+    const start = starts ? starts[index] : index;
+    if (start === undefined || start + needle.length > units.length) return false;
+    for (let j = 0; j < needle.length; j++) {
+      if (!equal(units[start + j], needle[j])) return false;
+    }
+    return !graphemeOf || graphemeOf[start + needle.length] !== -1;
   }
   
   /**
    * Returns the grapheme index of the first occurrence of a search string.
+   * With a normalization form, both strings are compared in that form; with a locale or
+   * sensitivity, graphemes are compared by collation. Either way the index refers to
+   * this string's own graphemes.
    * @param {string|GCString} searchString - The string to search for
    * @param {number} [position=0] - The grapheme index to start searching from
+   * @param {Object} [options] - Search options
+   * @param {string} [options.normalization] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @param {string|string[]} [options.locale] - Locale or array of locales for collation
+   * @param {string} [options.sensitivity] - 'base', 'accent', 'case' or 'variant'
    * @returns {number} The grapheme index of the match, or -1 if not found
    * @example
    * new GCString("Hello 👋 World").indexOf("👋")  // 6
+   * new GCString("Cafe\u0301").indexOf("\u00E9", 0, { normalization: 'NFC' })  // 3
+   * new GCString("R\u00E9sum\u00E9").indexOf("resume", 0, { sensitivity: 'base' })  // 0
    */
-  indexOf(searchString, position = 0) {
-    const search = searchString instanceof GCString ? 
-      searchString.#graphemes : 
-      segmentIntoGraphemes(String(searchString));
+  indexOf(searchString, position = 0, options = {}) {
+    const haystack = this.#searchUnits(options);
+    const needle = GCString.#needleUnits(searchString, options.normalization);
     
-    for (let i = position; i <= this.#graphemes.length - search.length; i++) {
-      let match = true;
-      for (let j = 0; j < search.length; j++) {
-        if (this.#graphemes[i + j] !== search[j]) {
-          match = false;
-          break;
-        }
-      }
-      if (match) return i;
+    for (let i = position; i <= this.length; i++) {
+      if (this.#matchesAt(haystack, i, needle)) return i;
     }
     return -1;
   }
@@ -164,26 +795,19 @@ class GCString {
    * Returns the grapheme index of the last occurrence of a search string.
    * @param {string|GCString} searchString - The string to search for
    * @param {number} [position] - The grapheme index to start searching backwards from
+   * @param {Object} [options] - Search options
+   * @param {string} [options.normalization] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @param {string|string[]} [options.locale] - Locale or array of locales for collation
+   * @param {string} [options.sensitivity] - 'base', 'accent', 'case' or 'variant'
    * @returns {number} The grapheme index of the match, or -1 if not found
    */
-  lastIndexOf(searchString, position) {
-    const search = searchString instanceof GCString ? 
-      searchString.#graphemes : 
-      segmentIntoGraphemes(String(searchString));
-    
-    const start = position === undefined ? 
-      this.#graphemes.length - search.length : 
-      Math.min(position, this.#graphemes.length - search.length);
+  lastIndexOf(searchString, position, options = {}) {
+    const haystack = this.#searchUnits(options);
+    const needle = GCString.#needleUnits(searchString, options.normalization);
     
+    const start = position === undefined ? this.length : Math.min(position, this.length);
     for (let i = start; i >= 0; i--) {
-      let match = true;
-      for (let j = 0; j < search.length; j++) {
-        if (this.#graphemes[i + j] !== search[j]) {
-          match = false;
-          break;
-        }
-      }
-      if (match) return i;
+      if (this.#matchesAt(haystack, i, needle)) return i;
     }
     return -1;
   }
@@ -192,33 +816,152 @@ class GCString {
    * Determines whether the string contains a search string.
    * @param {string|GCString} searchString - The string to search for
    * @param {number} [position=0] - The grapheme index to start searching from
+   * @param {Object} [options] - Search options, as for indexOf()
    * @returns {boolean} true if the search string is found, false otherwise
    */
-  includes(searchString, position = 0) {
-    return this.indexOf(searchString, position) !== -1;
+  includes(searchString, position = 0, options = {}) {
+    return this.indexOf(searchString, position, options) !== -1;
   }
   
   /**
    * Determines whether the string starts with a search string.
    * @param {string|GCString} searchString - The string to search for
    * @param {number} [position=0] - The grapheme index to start checking from
+   * @param {Object} [options] - Search options
+   * @param {string} [options.normalization] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @param {string|string[]} [options.locale] - Locale or array of locales for collation
+   * @param {string} [options.sensitivity] - 'base', 'accent', 'case' or 'variant'
    * @returns {boolean} true if the string starts with the search string
    */
-  startsWith(searchString, position = 0) {
-    return this.indexOf(searchString, position) === position;
+  startsWith(searchString, position = 0, options = {}) {
+    const haystack = this.#searchUnits(options);
+    const needle = GCString.#needleUnits(searchString, options.normalization);
+    return position >= 0 && this.#matchesAt(haystack, position, needle);
   }
   
   /**
    * Determines whether the string ends with a search string.
    * @param {string|GCString} searchString - The string to search for
    * @param {number} [endPosition] - Treat the string as if it were this length
+   * @param {Object} [options] - Search options
+   * @param {string} [options.normalization] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @param {string|string[]} [options.locale] - Locale or array of locales for collation
+   * @param {string} [options.sensitivity] - 'base', 'accent', 'case' or 'variant'
    * @returns {boolean} true if the string ends with the search string
    */
-  endsWith(searchString, endPosition) {
-    const end = endPosition === undefined ? this.#graphemes.length : endPosition;
-    const search = searchString instanceof GCString ? 
-      searchString : new GCString(searchString);
-    return this.lastIndexOf(search, end - search.length) === end - search.length;
+  endsWith(searchString, endPosition, options = {}) {
+    const end = endPosition === undefined ? this.length : endPosition;
+    const haystack = this.#searchUnits(options);
+    const needle = GCString.#needleUnits(searchString, options.normalization);
+    
+    const { starts, graphemeOf } = haystack;
+    const startUnit = (starts ? starts[end] : end) - needle.length;
+    const start = graphemeOf ? graphemeOf[startUnit] : startUnit;
+    return start >= 0 && this.#matchesAt(haystack, start, needle);
+  }
+  
+  /**
+   * Returns the string in a Unicode normalization form.
+   * @param {string} [form='NFC'] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @returns {GCString} A new GCString with the normalized value
+   * @throws {RangeError} If form is not a normalization form
+   * @example
+   * new GCString("Cafe\u0301").normalize().codeUnitLength  // 4
+   */
+  normalize(form = 'NFC') {
+    return new GCString(this.#value.normalize(form));
+  }
+  
+  /**
+   * Determines whether this string has the same value as another, optionally comparing
+   * both in a normalization form.
+   * @param {string|GCString} other - The string to compare with
+   * @param {Object} [options] - Comparison options
+   * @param {string} [options.normalization] - 'NFC', 'NFD', 'NFKC' or 'NFKD'
+   * @returns {boolean} true if the strings are equal
+   * @example
+   * new GCString("Cafe\u0301").equals("Caf\u00E9", { normalization: 'NFC' })  // true
+   */
+  equals(other, { normalization } = {}) {
+    if (!(other instanceof GCString) && typeof other !== 'string') return false;
+    const value = other instanceof GCString ? other.#value : other;
+    if (normalization === undefined) return this.#value === value;
+    return this.#value.normalize(normalization) === value.normalize(normalization);
+  }
+  
+  /**
+   * Computes the UTS #39 skeleton of the string, which maps visually confusable
+   * strings such as "paypal" and "p\u0430ypal" (with a Cyrillic \u0430) to the same
+   * value. Skeletons are meant for comparison and lookup keys, not for display.
+   * @returns {string} The skeleton
+   * @example
+   * new GCString("rn").skeleton() === new GCString("m").skeleton()  // true
+   */
+  skeleton() {
+    return skeleton(this.#value);
+  }
+  
+  /**
+   * Determines whether this string is visually confusable with another, i.e. whether
+   * both have the same UTS #39 skeleton. Identical strings are confusable too.
+   * @param {string|GCString} other - The string to compare with
+   * @returns {boolean} true if the strings are confusable
+   * @example
+   * new GCString("p\u0430ypal").isConfusableWith("paypal")  // true
+   */
+  isConfusableWith(other) {
+    const value = other instanceof GCString ? other.#value : String(other);
+    return skeleton(this.#value) === skeleton(value);
+  }
+  
+  /**
+   * Reports the scripts of the string's grapheme clusters, each taken from the
+   * cluster's base character. The string is mixed-script when no single writing
+   * system covers all of its scripts; Common (digits, punctuation, emoji) and Inherited
+   * clusters never make it mixed, and Han with Kana or Hangul is not mixed.
+   * @returns {{isMixed: boolean, scripts: Object<string, Array<number>>}} Whether the
+   *   string is mixed-script, and the grapheme indices of each script in order of
+   *   first appearance
+   * @example
+   * new GCString("p\u0430ypal").mixedScriptReport()
+   * // { isMixed: true, scripts: { Latin: [0, 2, 3, 4, 5], Cyrillic: [1] } }
+   */
+  mixedScriptReport() {
+    const scripts = {};
+    this.#graphemes.forEach((grapheme, index) => {
+      (scripts[scriptOf(grapheme)] ??= []).push(index);
+    });
+    return { isMixed: isMixedScript(Object.keys(scripts)), scripts };
+  }
+  
+  /**
+   * Splits the string into runs of a single script, for font fallback and language
+   * tagging. Common and Inherited clusters (spaces, punctuation, digits, emoji, lone
+   * combining marks) join the run before them, or the first run when they lead the
+   * string; a string with no other script is a single Common run.
+   * @returns {Array<{script: string, start: number, end: number}>} The runs in order,
+   *   with start inclusive and end exclusive grapheme indices
+   * @example
+   * new GCString("Hi مرحبا!").scriptRuns()
+   * // [{ script: 'Latin', start: 0, end: 3 }, { script: 'Arabic', start: 3, end: 9 }]
+   */
+  scriptRuns() {
+    const runs = [];
+    this.#graphemes.forEach((grapheme, index) => {
+      const script = scriptOf(grapheme);
+      const run = runs.at(-1);
+      if (run === undefined) {
+        runs.push({ script: isNeutralScript(script) ? 'Common' : script, start: index, end: index + 1 });
+      } else if (isNeutralScript(script) || script === run.script) {
+        run.end = index + 1;
+      } else if (run.script === 'Common') {
+        run.script = script;
+        run.end = index + 1;
+      } else {
+        runs.push({ script, start: index, end: index + 1 });
+      }
+    });
+    return runs;
   }
   
   /**
@@ -247,49 +990,963 @@ class GCString {
   }
   
   /**
-   * Pads the string from the start to reach a target grapheme length.
-   * @param {number} targetLength - The target grapheme length
-   * @param {string} [padString=' '] - The string to pad with
-   * @returns {GCString} A new padded GCString
-   * @example
-   * new GCString("Hi").padStart(5, "👋")  // GCString("👋👋👋Hi")
+   * Converts a code unit range into the smallest grapheme range that covers it.
+   * @param {number} codeUnitStart - Code unit offset where the range starts
+   * @param {number} codeUnitEnd - Code unit offset where the range ends
+   * @returns {Array<number>} [start, end] grapheme indices
    */
-  padStart(targetLength, padString = ' ') {
-    const padGC = new GCString(padString);
-    const padNeeded = targetLength - this.#graphemes.length;
-    
-    if (padNeeded <= 0) return new GCString(this.#value);
-    
-    const fullPads = Math.floor(padNeeded / padGC.length);
-    const partialPad = padNeeded % padGC.length;
-    
-    const padding = padGC.#value.repeat(fullPads) + 
-                    padGC.slice(0, partialPad).#value;
-    
-    return new GCString(padding + this.#value);
+  #toGraphemeRange(codeUnitStart, codeUnitEnd) {
+    const boundaries = this.#getBoundaries();
+    const start = floorBoundary(boundaries, codeUnitStart);
+    let end = floorBoundary(boundaries, codeUnitEnd);
+    if (boundaries[end] !== codeUnitEnd) end++;
+    return [start, end];
   }
   
   /**
-   * Pads the string from the end to reach a target grapheme length.
-   * @param {number} targetLength - The target grapheme length
-   * @param {string} [padString=' '] - The string to pad with
-   * @returns {GCString} A new padded GCString
+   * Finds pattern matches aligned to grapheme boundaries.
+   * String and GCString patterns are compared grapheme by grapheme. RegExp matches that
+   * start or end inside a cluster are widened to the enclosing boundaries, together
+   * with their captures, or skipped when boundary is 'reject'. Empty matches inside a
+   * cluster are always skipped.
+   * @param {string|GCString|RegExp} pattern - The pattern to search for
+   * @param {boolean} all - Whether to collect every match or only the first
+   * @param {string} boundary - 'expand' or 'reject'
+   * @returns {Array<Object>} Matches with grapheme start/end, code unit start/end,
+   *   captures and groups
    */
-  padEnd(targetLength, padString = ' ') {
-    const padGC = new GCString(padString);
-    const padNeeded = targetLength - this.#graphemes.length;
-    
-    if (padNeeded <= 0) return new GCString(this.#value);
+  #findMatches(pattern, all, boundary) {
+    if (boundary !== 'expand' && boundary !== 'reject') {
+      throw new RangeError(`Invalid boundary option: ${boundary}`);
+    }
     
-    const fullPads = Math.floor(padNeeded / padGC.length);
-    const partialPad = padNeeded % padGC.length;
+    const boundaries = this.#getBoundaries();
+    const length = boundaries.length - 1;
+    const matches = [];
     
-    const padding = padGC.#value.repeat(fullPads) + 
-                    padGC.slice(0, partialPad).#value;
+    if (!(pattern instanceof RegExp)) {
+      const search = pattern instanceof GCString ? pattern : new GCString(pattern);
+      let position = 0;
+      while (position <= length) {
+        const start = this.indexOf(search, position);
+        if (start === -1) break;
+        const end = start + search.length;
+        matches.push({
+          start, end,
+          codeUnitStart: boundaries[start],
+          codeUnitEnd: boundaries[end],
+          captures: [],
+          groups: undefined
+        });
+        if (!all) break;
+        position = end > start ? end : end + 1;
+      }
+      return matches;
+    }
     
+    let flags = pattern.flags;
+    if (!flags.includes('g')) flags += 'g';
+    if (!flags.includes('d')) flags += 'd';
+    const regexp = new RegExp(pattern, flags);
+    let match;
+    while ((match = regexp.exec(this.#value)) !== null) {
+      const codeUnitStart = match.index;
+      const codeUnitEnd = match.index + match[0].length;
+      const [start, end] = this.#toGraphemeRange(codeUnitStart, codeUnitEnd);
+      
+      const aligned = boundaries[start] === codeUnitStart && boundaries[end] === codeUnitEnd;
+      if (!aligned && (boundary === 'reject' || match[0] === '')) {
+        regexp.lastIndex = boundaries[start + 1];
+        continue;
+      }
+      
+      let captures = match.slice(1);
+      let groups = match.groups;
+      if (!aligned) {
+        const widen = (pair) => pair &&
+          this.#value.slice(...this.#toGraphemeRange(...pair).map(i => boundaries[i]));
+        captures = match.indices.slice(1).map(widen);
+        if (groups !== undefined) {
+          groups = Object.create(null);
+          for (const [name, pair] of Object.entries(match.indices.groups)) {
+            groups[name] = widen(pair);
+          }
+        }
+      }
+      
+      matches.push({
+        start, end,
+        codeUnitStart: boundaries[start],
+        codeUnitEnd: boundaries[end],
+        captures,
+        groups,
+        codeUnitIndices: match.indices
+      });
+      if (!all) break;
+      
+      if (start === end) {
+        if (end >= length) break;
+        regexp.lastIndex = boundaries[end + 1];
+      } else {
+        regexp.lastIndex = boundaries[end];
+      }
+    }
+    return matches;
+  }
+  
+  /**
+   * Replaces matches by building a new string around them.
+   * @param {Array<Object>} matches - Matches from #findMatches
+   * @param {string|Function} replacement - Replacement template or function
+   * @returns {GCString} A new GCString with the replacements applied
+   */
+  #applyReplacements(matches, replacement) {
+    let result = '';
+    let last = 0;
+    for (const m of matches) {
+      const matched = this.#value.slice(m.codeUnitStart, m.codeUnitEnd);
+      let text;
+      if (typeof replacement === 'function') {
+        const args = [matched, ...m.captures, m.start, this];
+        if (m.groups !== undefined) args.push(m.groups);
+        text = String(replacement(...args));
+      } else {
+        text = expandReplacement(String(replacement), matched, this.#value,
+          m.codeUnitStart, m.captures, m.groups);
+      }
+      result += this.#value.slice(last, m.codeUnitStart) + text;
+      last = m.codeUnitEnd;
+    }
+    return new GCString(result + this.#value.slice(last));
+  }
+  
+  /**
+   * Replaces the first grapheme-aligned match of a pattern (every match for a global RegExp).
+   * A RegExp match that would cut a grapheme cluster is widened to whole clusters by
+   * default, or skipped with `{ boundary: 'reject' }`; the captures of a widened match
+   * are widened to whole clusters too, so $1 never splits one. Replacement functions
+   * receive the match, any captures, the grapheme index of the match, this GCString
+   * and, for patterns with named groups, the groups object.
+   * @param {string|GCString|RegExp} pattern - The pattern to replace
+   * @param {string|Function} replacement - Replacement string (supports $ patterns) or function
+   * @param {Object} [options] - Matching options
+   * @param {string} [options.boundary='expand'] - 'expand' or 'reject' for matches inside a cluster
+   * @returns {GCString} A new GCString with the replacement applied
+   * @example
+   * new GCString("👨‍👩‍👧‍👦Hello").replace(/./, "X")  // GCString("XHello")
+   */
+  replace(pattern, replacement, { boundary = 'expand' } = {}) {
+    const all = pattern instanceof RegExp && pattern.global;
+    return this.#applyReplacements(this.#findMatches(pattern, all, boundary), replacement);
+  }
+  
+  /**
+   * Replaces every grapheme-aligned match of a pattern.
+   * @param {string|GCString|RegExp} pattern - The pattern to replace (RegExp must be global)
+   * @param {string|Function} replacement - Replacement string (supports $ patterns) or function
+   * @param {Object} [options] - Matching options
+   * @param {string} [options.boundary='expand'] - 'expand' or 'reject' for matches inside a cluster
+   * @returns {GCString} A new GCString with the replacements applied
+   * @throws {TypeError} If pattern is a non-global RegExp
+   * @example
+   * new GCString("👍🏽👍🏽").replaceAll(/./g, "X")  // GCString("XX")
+   */
+  replaceAll(pattern, replacement, { boundary = 'expand' } = {}) {
+    if (pattern instanceof RegExp && !pattern.global) {
+      throw new TypeError('replaceAll must be called with a global RegExp');
+    }
+    return this.#applyReplacements(this.#findMatches(pattern, true, boundary), replacement);
+  }
+  
+  /**
+   * Builds a RegExp match result whose positions are grapheme indices.
+   * `index` and `indices` are in graphemes; `codeUnitIndex` and `codeUnitIndices`
+   * carry the matching UTF-16 offsets. Capture ranges that cut a cluster are
+   * widened to the enclosing graphemes in `indices`.
+   * @param {Object} match - A match from #findMatches
+   * @returns {Array<string>} The match result array
+   */
+  #toMatchResult(match) {
+    const result = [
+      this.#value.slice(match.codeUnitStart, match.codeUnitEnd),
+      ...match.captures
+    ];
+    result.index = match.start;
+    result.codeUnitIndex = match.codeUnitStart;
+    result.input = this.#value;
+    result.groups = match.groups;
+    
+    const toRange = (pair) => pair && this.#toGraphemeRange(pair[0], pair[1]);
+    result.indices = match.codeUnitIndices.map(toRange);
+    result.indices[0] = [match.start, match.end];
+    result.codeUnitIndices = match.codeUnitIndices.map(pair => pair && [...pair]);
+    result.codeUnitIndices[0] = [match.codeUnitStart, match.codeUnitEnd];
+    if (match.codeUnitIndices.groups) {
+      result.indices.groups = {};
+      result.codeUnitIndices.groups = {};
+      for (const [name, pair] of Object.entries(match.codeUnitIndices.groups)) {
+        result.indices.groups[name] = toRange(pair);
+        result.codeUnitIndices.groups[name] = pair && [...pair];
+      }
+    } else {
+      result.indices.groups = undefined;
+      result.codeUnitIndices.groups = undefined;
+    }
+    return result;
+  }
+  
+  /**
+   * Matches the string against a regular expression, reporting grapheme positions.
+   * Without the global flag, returns a result array like String.prototype.match with
+   * `index` and `indices` in graphemes plus `codeUnitIndex` and `codeUnitIndices`.
+   * With the global flag, returns an array of the matched strings.
+   * A string pattern is converted to a RegExp, as String.prototype.match does.
+   * @param {RegExp|string} regexp - The pattern to match
+   * @param {Object} [options] - Matching options
+   * @param {string} [options.boundary='expand'] - 'expand' or 'reject' for matches inside a cluster
+   * @returns {Array<string>|null} The match result, matched strings, or null if none
+   * @example
+   * new GCString("👨‍👩‍👧‍👦 Hi").match(/H/).index  // 2
+   */
+  match(regexp, { boundary = 'expand' } = {}) {
+    const pattern = regexp instanceof RegExp ? regexp : new RegExp(regexp);
+    const matches = this.#findMatches(pattern, pattern.global, boundary);
+    if (matches.length === 0) return null;
+    if (pattern.global) {
+      return matches.map(m => this.#value.slice(m.codeUnitStart, m.codeUnitEnd));
+    }
+    return this.#toMatchResult(matches[0]);
+  }
+  
+  /**
+   * Returns an iterator of every match of a global regular expression,
+   * each reporting grapheme positions as described for match().
+   * @param {RegExp|string} regexp - The pattern to match (RegExp must be global)
+   * @param {Object} [options] - Matching options
+   * @param {string} [options.boundary='expand'] - 'expand' or 'reject' for matches inside a cluster
+   * @returns {Iterator<Array<string>>} An iterator of match results
+   * @throws {TypeError} If regexp is a non-global RegExp
+   * @example
+   * [...new GCString("👋a👋b").matchAll(/[a-z]/g)].map(m => m.index)  // [1, 3]
+   */
+  matchAll(regexp, { boundary = 'expand' } = {}) {
+    if (regexp instanceof RegExp && !regexp.global) {
+      throw new TypeError('matchAll must be called with a global RegExp');
+    }
+    const pattern = regexp instanceof RegExp ? regexp : new RegExp(regexp, 'g');
+    return this.#findMatches(pattern, true, boundary)
+      .map(m => this.#toMatchResult(m))
+      .values();
+  }
+  
+  /**
+   * Returns the grapheme index of the first match of a regular expression.
+   * @param {RegExp|string} regexp - The pattern to search for
+   * @param {Object} [options] - Matching options
+   * @param {string} [options.boundary='expand'] - 'expand' or 'reject' for matches inside a cluster
+   * @returns {number} The grapheme index of the match, or -1 if not found
+   * @example
+   * new GCString("👨‍👩‍👧‍👦 Hi").search(/i/)  // 3
+   */
+  search(regexp, { boundary = 'expand' } = {}) {
+    const pattern = regexp instanceof RegExp ? regexp : new RegExp(regexp);
+    const [match] = this.#findMatches(pattern, false, boundary);
+    return match === undefined ? -1 : match.start;
+  }
+  
+  /**
+   * Measures the string in a padding unit.
+   * @param {string} unit - 'grapheme' or 'width'
+   * @param {number} ambiguousWidth - Width of East Asian Ambiguous characters
+   * @returns {number} The grapheme count or display width
+   * @throws {RangeError} If unit is invalid
+   */
+  #measure(unit, ambiguousWidth) {
+    if (unit === 'grapheme') return this.length;
+    if (unit === 'width') return this.getDisplayWidth({ ambiguousWidth });
+    throw new RangeError(`Invalid unit: ${unit}`);
+  }
+  
+  /**
+   * Builds padding of a given size by repeating whole graphemes of a pad string.
+   * In 'width' units a wide pad grapheme that would overshoot is never split;
+   * the columns it cannot fill are filled with spaces instead.
+   * @param {number} amount - Padding size in graphemes or columns
+   * @param {string|GCString} padString - The string to pad with
+   * @param {string} unit - 'grapheme' or 'width'
+   * @param {number} ambiguousWidth - Width of East Asian Ambiguous characters
+   * @returns {string} The padding
+   */
+  #padding(amount, padString, unit, ambiguousWidth) {
+    const padGC = padString instanceof GCString ? padString : new GCString(padString);
+    if (amount <= 0 || padGC.length === 0) return '';
+    
+    if (unit === 'grapheme') {
+      const fullPads = Math.floor(amount / padGC.length);
+      const partialPad = amount % padGC.length;
+      return padGC.#value.repeat(fullPads) + padGC.#sliceView(0, partialPad).#value;
+    }
+    
+    const pads = [...padGC].map(g => [g, graphemeWidth(g, ambiguousWidth)]);
+    if (pads.every(([, width]) => width === 0)) return '';
+    
+    let padding = '';
+    let remaining = amount;
+    for (let i = 0; remaining > 0; i = (i + 1) % pads.length) {
+      const [grapheme, width] = pads[i];
+      if (width > remaining) break;
+      padding += grapheme;
+      remaining -= width;
+    }
+    return padding + ' '.repeat(remaining);
+  }
+  
+  /**
+   * Pads the string from the start to reach a target grapheme length,
+   * or a target display width with `{ unit: 'width' }`.
+   * @param {number} targetLength - The target grapheme length or display width
+   * @param {string} [padString=' '] - The string to pad with
+   * @param {Object} [options] - Padding options
+   * @param {string} [options.unit='grapheme'] - 'grapheme' or 'width'
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters
+   * @returns {GCString} A new padded GCString
+   * @example
+   * new GCString("Hi").padStart(5, "👋")  // GCString("👋👋👋Hi")
+   * new GCString("日本").padStart(6, " ", { unit: 'width' })  // GCString("  日本")
+   */
+  padStart(targetLength, padString = ' ', { unit = 'grapheme', ambiguousWidth = 1 } = {}) {
+    const padNeeded = targetLength - this.#measure(unit, ambiguousWidth);
+    
+    if (padNeeded <= 0) return new GCString(this.#value);
+    
+    const padding = this.#padding(padNeeded, padString, unit, ambiguousWidth);
+    return new GCString(padding + this.#value);
+  }
+  
+  /**
+   * Pads the string from the end to reach a target grapheme length,
+   * or a target display width with `{ unit: 'width' }`.
+   * @param {number} targetLength - The target grapheme length or display width
+   * @param {string} [padString=' '] - The string to pad with
+   * @param {Object} [options] - Padding options
+   * @param {string} [options.unit='grapheme'] - 'grapheme' or 'width'
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters
+   * @returns {GCString} A new padded GCString
+   */
+  padEnd(targetLength, padString = ' ', { unit = 'grapheme', ambiguousWidth = 1 } = {}) {
+    const padNeeded = targetLength - this.#measure(unit, ambiguousWidth);
+    
+    if (padNeeded <= 0) return new GCString(this.#value);
+    
+    const padding = this.#padding(padNeeded, padString, unit, ambiguousWidth);
     return new GCString(this.#value + padding);
   }
   
+  /**
+   * Pads the string on both sides to reach a target grapheme length or display
+   * width. When the padding cannot be split evenly, the extra unit goes at the end.
+   * @param {number} targetLength - The target grapheme length or display width
+   * @param {string} [padString=' '] - The string to pad with
+   * @param {Object} [options] - Padding options
+   * @param {string} [options.unit='grapheme'] - 'grapheme' or 'width'
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters
+   * @returns {GCString} A new padded GCString
+   * @example
+   * new GCString("Hi").padCenter(6, "*")  // GCString("**Hi**")
+   */
+  padCenter(targetLength, padString = ' ', { unit = 'grapheme', ambiguousWidth = 1 } = {}) {
+    const padNeeded = targetLength - this.#measure(unit, ambiguousWidth);
+    
+    if (padNeeded <= 0) return new GCString(this.#value);
+    
+    const startPad = Math.floor(padNeeded / 2);
+    return new GCString(
+      this.#padding(startPad, padString, unit, ambiguousWidth) +
+      this.#value +
+      this.#padding(padNeeded - startPad, padString, unit, ambiguousWidth)
+    );
+  }
+  
+  /**
+   * Aligns the string within a column of the given display width.
+   * @param {number} width - The column width
+   * @param {string} [alignment='left'] - 'left', 'right' or 'center'
+   * @param {Object} [options] - Alignment options
+   * @param {string} [options.padString=' '] - The string to pad with
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters
+   * @returns {GCString} A new padded GCString
+   * @throws {RangeError} If alignment is invalid
+   * @example
+   * new GCString("日本").align(6, 'right')  // GCString("  日本")
+   */
+  align(width, alignment = 'left', { padString = ' ', ambiguousWidth = 1 } = {}) {
+    const options = { unit: 'width', ambiguousWidth };
+    if (alignment === 'left') return this.padEnd(width, padString, options);
+    if (alignment === 'right') return this.padStart(width, padString, options);
+    if (alignment === 'center') return this.padCenter(width, padString, options);
+    throw new RangeError(`Invalid alignment: ${alignment}`);
+  }
+  
+  /**
+   * Finds the grapheme indices at which word segments (words, spaces and
+   * punctuation runs) start, plus the string length.
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @returns {Set<number>} Grapheme indices of word boundaries
+   */
+  #wordBoundaries(locale) {
+    const offsets = this.#getBoundaries();
+    const boundaries = new Set([this.length]);
+    for (const { index } of getSegmenter('word', locale).segment(this.#value)) {
+      boundaries.add(floorBoundary(offsets, index));
+    }
+    return boundaries;
+  }
+  
+  /**
+   * Segments the string with a word or sentence segmenter into grapheme ranges.
+   * Segments that would split a grapheme are merged with their neighbour.
+   * @param {string} granularity - 'word' or 'sentence'
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @param {string} [text] - Stand-in for the value with the same code unit offsets
+   * @returns {Array<Object>} Ranges with start, end and isWordLike
+   */
+  #segmentRanges(granularity, locale, text = this.#value) {
+    const segments = [];
+    for (const part of getSegmenter(granularity, locale).segment(text)) {
+      const [start, end] = this.#toGraphemeRange(part.index, part.index + part.segment.length);
+      const previous = segments[segments.length - 1];
+      if (previous !== undefined && start < previous.end) {
+        previous.end = Math.max(previous.end, end);
+        continue;
+      }
+      segments.push({ start, end, isWordLike: part.isWordLike });
+    }
+    return segments;
+  }
+  
+  /**
+   * Segments the string with a word or sentence segmenter, mapping each segment
+   * to a view of its graphemes.
+   * @param {string} granularity - 'word' or 'sentence'
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @returns {Array<Object>} Segments with segment, index and, for words, isWordLike
+   */
+  #segmentsOf(granularity, locale) {
+    const boundaries = this.#getBoundaries();
+    return this.#segmentRanges(granularity, locale).map(({ start, end, isWordLike }) => {
+      const segment = {
+        segment: GCString.#view(this, start, end),
+        index: start,
+        codeUnitIndex: boundaries[start]
+      };
+      if (granularity === 'word') segment.isWordLike = isWordLike;
+      return segment;
+    });
+  }
+  
+  /**
+   * Splits the string into word segments using locale-aware rules, including
+   * dictionary-based segmentation for Thai, Japanese and Chinese. Spaces and
+   * punctuation are returned as segments too, with isWordLike set to false.
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @returns {Array<{segment: GCString, index: number, codeUnitIndex: number, isWordLike: boolean}>}
+   *   Segments with their grapheme and code unit offsets
+   * @example
+   * new GCString("Hi 👋 there").words()
+   *   .filter(w => w.isWordLike).map(w => w.segment.value)  // ["Hi", "there"]
+   */
+  words(locale) {
+    return this.#segmentsOf('word', locale);
+  }
+  
+  /**
+   * Splits the string into sentences using locale-aware rules.
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @returns {Array<{segment: GCString, index: number, codeUnitIndex: number}>}
+   *   Sentences with their grapheme and code unit offsets
+   * @example
+   * new GCString("Hi 👋. Bye!").sentences().map(s => s.index)  // [0, 6]
+   */
+  sentences(locale) {
+    return this.#segmentsOf('sentence', locale);
+  }
+  
+  /**
+   * Shortens the string to fit a size budget, inserting an ellipsis.
+   * The result, including the ellipsis, never exceeds max in the chosen unit
+   * and never splits a grapheme cluster. Strings that already fit are returned unchanged.
+   * @param {number} max - The size budget
+   * @param {Object} [options] - Truncation options
+   * @param {string|GCString} [options.ellipsis='…'] - Text marking the removed part
+   * @param {string} [options.position='end'] - Where to cut: 'end', 'start' or 'middle'
+   * @param {string} [options.unit='grapheme'] - 'grapheme', 'width', 'utf16' or 'utf8'
+   * @param {boolean} [options.wordBoundary=false] - Prefer cutting between words,
+   *   dropping whitespace next to the ellipsis
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters
+   * @returns {GCString} A new, possibly shortened GCString
+   * @throws {RangeError} If max is not a non-negative number, or position or unit is invalid
+   * @example
+   * new GCString("👨‍👩‍👧‍👦 family photo.jpg").truncate(8)  // GCString("👨‍👩‍👧‍👦 famil…")
+   * new GCString("report-final.pdf").truncate(9, { position: 'middle' })  // GCString("repo….pdf")
+   */
+  truncate(max, {
+    ellipsis = '…',
+    position = 'end',
+    unit = 'grapheme',
+    wordBoundary = false,
+    ambiguousWidth = 1
+  } = {}) {
+    if (!(max >= 0)) {
+      throw new RangeError(`Invalid max: ${max}`);
+    }
+    if (position !== 'end' && position !== 'start' && position !== 'middle') {
+      throw new RangeError(`Invalid position: ${position}`);
+    }
+    const measure = unitMeasure(unit, ambiguousWidth);
+    const graphemes = this.#graphemes;
+    const sizes = graphemes.map(measure);
+    const total = sizes.reduce((sum, size) => sum + size, 0);
+    if (total <= max) return new GCString(this.#value);
+    
+    const ellipsisGC = ellipsis instanceof GCString ? ellipsis : new GCString(ellipsis);
+    const ellipsisSizes = ellipsisGC.graphemes.map(measure);
+    let budget = max - ellipsisSizes.reduce((sum, size) => sum + size, 0);
+    if (budget < 0) {
+      let count = 0;
+      for (let used = 0; count < ellipsisSizes.length && used + ellipsisSizes[count] <= max; count++) {
+        used += ellipsisSizes[count];
+      }
+      return ellipsisGC.#sliceView(0, count);
+    }
+    
+    const count = graphemes.length;
+    let head = 0;
+    if (position !== 'start') {
+      const headBudget = position === 'end' ? budget : Math.ceil(budget / 2);
+      for (let used = 0; head < count && used + sizes[head] <= headBudget; head++) {
+        used += sizes[head];
+        budget -= sizes[head];
+      }
+    }
+    let tail = count;
+    if (position !== 'end') {
+      for (let used = 0; tail > head && used + sizes[tail - 1] <= budget; tail--) {
+        used += sizes[tail - 1];
+      }
+    }
+    
+    if (wordBoundary) {
+      const breaks = this.#wordBoundaries();
+      const isSpace = (i) => /^\s+$/u.test(graphemes[i]);
+      if (position !== 'start') {
+        let cut = head;
+        while (cut > 0 && !breaks.has(cut)) cut--;
+        if (cut > 0) head = cut;
+        while (head > 0 && isSpace(head - 1)) head--;
+      }
+      if (position !== 'end') {
+        let cut = tail;
+        while (cut < count && !breaks.has(cut)) cut++;
+        if (cut < count) tail = cut;
+        while (tail < count && isSpace(tail)) tail++;
+      }
+    }
+    
+    const boundaries = this.#getBoundaries();
+    return new GCString(
+      this.#value.slice(0, boundaries[head]) +
+      ellipsisGC.#value +
+      this.#value.slice(boundaries[tail])
+    );
+  }
+  
+  /**
+   * Wraps the string into lines that fit a width, breaking at Unicode line break
+   * opportunities (UAX #14) and never inside a grapheme cluster. Mandatory breaks
+   * (newlines) always start a new line and are not included in the lines; spaces
+   * at the end of a line are dropped.
+   * @param {number} width - Maximum line width, including the indent
+   * @param {Object} [options] - Wrapping options
+   * @param {string} [options.unit='grapheme'] - 'grapheme' or 'width' (terminal columns)
+   * @param {boolean} [options.hard=false] - Break words longer than a line at grapheme
+   *   boundaries instead of letting them overflow
+   * @param {string|GCString} [options.indent=''] - Text prepended to every non-empty line
+   * @param {string|string[]} [options.locale] - Locale for dictionary-based breaking of
+   *   scripts such as Thai
+   * @param {number} [options.ambiguousWidth=1] - Width of East Asian Ambiguous characters
+   * @returns {Array<GCString>} The wrapped lines
+   * @throws {RangeError} If unit is invalid or the indent leaves no room for text
+   * @example
+   * new GCString("👋 Hello wonderful world").wrap(10).map(String)
+   *   // ["👋 Hello", "wonderful", "world"]
+   */
+  wrap(width, {
+    unit = 'grapheme',
+    hard = false,
+    indent = '',
+    locale,
+    ambiguousWidth = 1
+  } = {}) {
+    const measure = unitMeasure(unit, ambiguousWidth);
+    const indentGC = indent instanceof GCString ? indent : new GCString(indent);
+    const available = width - indentGC.graphemes.reduce((sum, g) => sum + measure(g), 0);
+    if (!(available >= 1)) {
+      throw new RangeError(`Width ${width} leaves no room for text after the indent`);
+    }
+    
+    const graphemes = this.#graphemes;
+    const sizes = graphemes.map(measure);
+    const classes = graphemes.map(lineBreakClass);
+    const breaks = findLineBreaks(classes, this.#wordBoundaries(locale));
+    const sizeOf = (start, end) => sizes.slice(start, end).reduce((sum, size) => sum + size, 0);
+    
+    const lines = [];
+    const emit = (start, end) => {
+      while (end > start && classes[end - 1] === 'SP') end--;
+      const text = graphemes.slice(start, end).join('');
+      lines.push(new GCString(text === '' ? '' : indentGC.value + text));
+    };
+    
+    let lineStart = 0;
+    let lineEnd = 0;
+    let lineSize = 0;
+    for (let chunkStart = 0, i = 0; i < graphemes.length; i++) {
+      if (i + 1 < graphemes.length && breaks[i + 1] === NO_BREAK) continue;
+      
+      const chunkEnd = i + 1;
+      const hardBreak = isHardBreak(classes[i]);
+      const contentEnd = hardBreak ? i : chunkEnd;
+      let textEnd = contentEnd;
+      while (textEnd > chunkStart && classes[textEnd - 1] === 'SP') textEnd--;
+      const textSize = sizeOf(chunkStart, textEnd);
+      const chunkSize = sizeOf(chunkStart, contentEnd);
+      
+      if (lineSize + textSize <= available) {
+        lineEnd = contentEnd;
+        lineSize += chunkSize;
+      } else {
+        if (lineEnd > lineStart) emit(lineStart, lineEnd);
+        lineStart = chunkStart;
+        lineSize = 0;
+        if (hard) {
+          while (textEnd - lineStart > 1 && sizeOf(lineStart, textEnd) > available) {
+            let pieceEnd = lineStart + 1;
+            let pieceSize = sizes[lineStart];
+            while (pieceEnd < textEnd && pieceSize + sizes[pieceEnd] <= available) {
+              pieceSize += sizes[pieceEnd++];
+            }
+            emit(lineStart, pieceEnd);
+            lineStart = pieceEnd;
+          }
+        }
+        lineEnd = contentEnd;
+        lineSize = sizeOf(lineStart, contentEnd);
+      }
+      
+      if (hardBreak) {
+        emit(lineStart, lineEnd);
+        lineStart = lineEnd = chunkEnd;
+        lineSize = 0;
+      }
+      chunkStart = chunkEnd;
+    }
+    emit(lineStart, lineEnd);
+    return lines;
+  }
+  
+  /**
+   * Reverses the order of the grapheme clusters, so emoji sequences, flags and
+   * combining marks survive intact. Runs of right-to-left text (with the spaces,
+   * punctuation and numbers between their letters) and runs of numbers (with single
+   * separators such as "." or "," between digits) can be kept in logical order.
+   * @param {Object} [options] - Reverse options
+   * @param {boolean} [options.keepRtl=false] - Keep right-to-left runs in logical order
+   * @param {boolean} [options.keepNumbers=false] - Keep numeric runs in logical order
+   * @returns {GCString} A new GCString with the graphemes in reverse order
+   * @example
+   * new GCString("Hi 👋🏽!").reverse()                       // GCString("!👋🏽 iH")
+   * new GCString("v1.25").reverse({ keepNumbers: true })  // GCString("1.25v")
+   */
+  reverse({ keepRtl = false, keepNumbers = false } = {}) {
+    const graphemes = this.#graphemes;
+    const classes = keepRtl || keepNumbers ? graphemes.map(bidiClass) : null;
+    const runs = [];
+    let start = 0;
+    while (start < graphemes.length) {
+      let end = start + 1;
+      if (keepRtl && isRtl(classes[start])) {
+        for (let i = end; i < graphemes.length && classes[i] !== 'L'; i++) {
+          if (isRtl(classes[i])) end = i + 1;
+        }
+      } else if (keepNumbers && isNumber(classes[start])) {
+        for (let i = end; i < graphemes.length; i++) {
+          if (isNumber(classes[i])) end = i + 1;
+          else if (i !== end || (classes[i] !== 'CS' && classes[i] !== 'ES')) break;
+        }
+      }
+      runs.push(graphemes.slice(start, end).join(''));
+      start = end;
+    }
+    return new GCString(runs.reverse().join(''));
+  }
+  
+  /**
+   * Detects the base direction of the string from its strong characters.
+   * 'first-strong' uses the first strong character outside isolates, as browsers do
+   * for dir="auto" (UAX #9 rules P2 and P3); 'dominant' uses the direction of the
+   * majority of strong characters, falling back to the first strong one on a tie.
+   * @param {string} [method='first-strong'] - 'first-strong' or 'dominant'
+   * @returns {string} 'ltr', 'rtl', or 'neutral' if there is no strong character
+   * @throws {RangeError} If method is invalid
+   * @example
+   * new GCString("שלום world").direction()              // 'rtl'
+   * new GCString("1. a שלום עולם").direction('dominant')  // 'rtl'
+   */
+  direction(method = 'first-strong') {
+    const classes = this.#graphemes.map(bidiClass);
+    if (method === 'first-strong') return firstStrongDirection(classes);
+    if (method === 'dominant') return dominantDirection(classes);
+    throw new RangeError(`Invalid direction method: ${method}`);
+  }
+  
+  /**
+   * Wraps the string in FIRST STRONG ISOLATE (U+2068) and POP DIRECTIONAL ISOLATE
+   * (U+2069), so that it takes its own direction when embedded in other text and
+   * cannot reorder the punctuation around it. An unmatched PDI inside the string still
+   * ends the isolate early; bidiControls() reports those.
+   * @returns {GCString} A new isolated GCString
+   * @example
+   * `Welcome, ${new GCString("אבי").isolate()}!`  // "Welcome, \u2068אבי\u2069!"
+   */
+  isolate() {
+    return new GCString(`\u2068${this.#value}\u2069`);
+  }
+  
+  /**
+   * Reports the explicit bidirectional controls in the string: embeddings (LRE, RLE),
+   * overrides (LRO, RLO), isolates (LRI, RLI, FSI) and their terminators (PDF, PDI).
+   * Unbalanced controls leak their direction into the surrounding text, and overrides
+   * can make source code or identifiers display differently from their logical
+   * order ("Trojan Source", CVE-2021-42574).
+   * @returns {{isBalanced: boolean, isSuspicious: boolean, controls: Array<Object>}}
+   *   Whether every control is matched, whether any control has an issue, and one
+   *   entry per control with its type, grapheme index, codeUnitIndex and issue:
+   *   'unterminated', 'unmatched', 'override' or null
+   * @example
+   * new GCString("abc\u202Edef").bidiControls()
+   * // { isBalanced: false, isSuspicious: true,
+   * //   controls: [{ type: 'RLO', index: 3, codeUnitIndex: 3, issue: 'unterminated' }] }
+   */
+  bidiControls() {
+    const boundaries = this.#getBoundaries();
+    const controls = matchBidiControls(this.#graphemes.map(bidiClass))
+      .map(({ position, type, issue }) => 
+        ({ type, index: position, codeUnitIndex: boundaries[position], issue }));
+    return {
+      isBalanced: controls.every(({ issue }) => issue !== 'unterminated' && issue !== 'unmatched'),
+      isSuspicious: controls.some(({ issue }) => issue !== null),
+      controls
+    };
+  }
+  
+  /**
+   * Removes skin tone modifiers from every emoji that carries them, so that 👍🏽 and 👍
+   * compare equal. Emoji that need a presentation selector without a modifier get one
+   * back (☝🏽 becomes ☝️).
+   * @returns {GCString} A new GCString without skin tones
+   * @example
+   * new GCString("👍🏽👍🏿").stripSkinTones()  // GCString("👍👍")
+   */
+  stripSkinTones() {
+    return new GCString(this.#graphemes.map(stripSkinTone).join(''));
+  }
+  
+  /**
+   * Replaces the skin tone of every emoji that already carries one, leaving untoned
+   * emoji alone.
+   * @param {string} tone - 'light', 'medium-light', 'medium', 'medium-dark', 'dark',
+   *   or one of the modifiers U+1F3FB..U+1F3FF
+   * @returns {GCString} A new GCString with the skin tones replaced
+   * @throws {RangeError} If tone is not a skin tone
+   * @example
+   * new GCString("👍🏻👋").replaceSkinTones('dark')  // GCString("👍🏿👋")
+   */
+  replaceSkinTones(tone) {
+    const modifier = resolveSkinTone(tone);
+    return new GCString(this.#graphemes.map(grapheme => 
+      hasSkinTone(grapheme) ? applySkinTone(grapheme, modifier) : grapheme).join(''));
+  }
+  
+  /**
+   * Gives a skin tone to every emoji that supports one, replacing any existing tone.
+   * Each emoji is changed only if the toned sequence is an RGI emoji.
+   * @param {string} tone - 'light', 'medium-light', 'medium', 'medium-dark', 'dark',
+   *   or one of the modifiers U+1F3FB..U+1F3FF
+   * @returns {GCString} A new GCString with the skin tone applied
+   * @throws {RangeError} If tone is not a skin tone
+   * @example
+   * new GCString("👍👋🏻❤️").applySkinTone('medium')  // GCString("👍🏽👋🏽❤️")
+   */
+  applySkinTone(tone) {
+    const modifier = resolveSkinTone(tone);
+    return new GCString(this.#graphemes.map(grapheme => 
+      applySkinTone(grapheme, modifier)).join(''));
+  }
+  
+  /**
+   * Adds the emoji presentation selector (U+FE0F) wherever it turns a text-style
+   * character into a fully qualified RGI emoji.
+   * @returns {GCString} A new GCString with emoji presentation requested
+   * @example
+   * new GCString("I ❤ NY").addEmojiPresentation()  // GCString("I ❤️ NY")
+   */
+  addEmojiPresentation() {
+    return new GCString(this.#graphemes.map(addEmojiPresentation).join(''));
+  }
+  
+  /**
+   * Removes the emoji presentation selectors (U+FE0F) wherever the result is still an
+   * RGI emoji or a plain text-default character. Keycaps and ZWJ sequences that need
+   * their selectors to stay valid are left unchanged.
+   * @returns {GCString} A new GCString with default presentation where possible
+   * @example
+   * new GCString("I ❤️ 1️⃣").removeEmojiPresentation()  // GCString("I ❤ 1️⃣")
+   */
+  removeEmojiPresentation() {
+    return new GCString(this.#graphemes.map(removeEmojiPresentation).join(''));
+  }
+  
+  /**
+   * Extracts the region code of every flag: regional indicator pairs give ISO 3166-1
+   * codes such as 'JP', tag sequences give subdivision codes such as 'GB-ENG'. Flags
+   * for unknown regions are still reported, with isValid set to false.
+   * @returns {Array<{index: number, codeUnitIndex: number, code: string, isValid: boolean}>}
+   *   One entry per flag, in order
+   * @example
+   * new GCString("Tokyo 🇯🇵 to 🇿🇿").regionCodes()
+   * // [{ index: 6, codeUnitIndex: 6, code: 'JP', isValid: true },
+   * //  { index: 11, codeUnitIndex: 14, code: 'ZZ', isValid: false }]
+   */
+  regionCodes() {
+    const boundaries = this.#getBoundaries();
+    const codes = [];
+    this.#graphemes.forEach((grapheme, index) => {
+      const region = flagToRegionCode(grapheme);
+      if (region !== null) codes.push({ index, codeUnitIndex: boundaries[index], ...region });
+    });
+    return codes;
+  }
+  
+  /**
+   * Finds the invisible characters in the string: the default ignorable code points,
+   * such as ZERO WIDTH SPACE (U+200B), WORD JOINER (U+2060), SOFT HYPHEN (U+00AD),
+   * bidi controls and tag characters, that render as nothing but make visually
+   * identical strings unequal. Variation selectors and the tags of RGI subdivision
+   * flags are not reported.
+   * @param {Object} [options] - Search options
+   * @param {boolean} [options.keepZWJInEmoji=true] - Skip ZWJs joining emoji, as in 👨‍👩‍👧
+   * @returns {Array<{index: number, codeUnitIndex: number, codePoint: number, name: string}>}
+   *   One entry per invisible code point, with its grapheme index and character name
+   * @example
+   * new GCString("pay\u200Bpal").findInvisibles()
+   * // [{ index: 3, codeUnitIndex: 3, codePoint: 0x200B, name: 'ZERO WIDTH SPACE' }]
+   */
+  findInvisibles({ keepZWJInEmoji = true } = {}) {
+    const boundaries = this.#getBoundaries();
+    return this.#graphemes.flatMap((grapheme, index) => 
+      graphemeInvisibles(grapheme, keepZWJInEmoji).map(({ offset, codePoint, name }) => 
+        ({ index, codeUnitIndex: boundaries[index] + offset, codePoint, name })));
+  }
+  
+  /**
+   * Removes the invisible characters reported by findInvisibles().
+   * @param {Object} [options] - Stripping options
+   * @param {boolean} [options.keepZWJInEmoji=true] - Keep ZWJs joining emoji, so that
+   *   ZWJ sequences such as 👨‍👩‍👧 are not split into separate emoji
+   * @returns {GCString} A new GCString without invisible characters
+   * @example
+   * new GCString("pay\u200Bpal\u00AD").stripInvisibles()  // GCString("paypal")
+   */
+  stripInvisibles({ keepZWJInEmoji = true } = {}) {
+    return new GCString(this.#graphemes.map(grapheme => {
+      let stripped = '';
+      let last = 0;
+      for (const { offset, codePoint } of graphemeInvisibles(grapheme, keepZWJInEmoji)) {
+        stripped += grapheme.slice(last, offset);
+        last = offset + String.fromCodePoint(codePoint).length;
+      }
+      return stripped + grapheme.slice(last);
+    }).join(''));
+  }
+  
+  /**
+   * Reports the malformed and abusive sequences in the string, like a detailed
+   * String.prototype.isWellFormed(): lone surrogates, orphan zero width joiners,
+   * dangling variation selectors, and clusters stacking more than maxCombiningMarks
+   * combining marks (reported once per cluster, with the number of excess marks).
+   * @param {Object} [options] - Report options
+   * @param {number} [options.maxCombiningMarks=30] - Combining marks allowed per
+   *   grapheme cluster; the default is the limit of the Stream-Safe Text Format (UAX #15)
+   * @returns {{isWellFormed: boolean, problems: Array<Object>}} Each problem has a type
+   *   ('lone-surrogate', 'orphan-joiner', 'dangling-selector' or
+   *   'excess-combining-marks'), the grapheme index, the codeUnitIndex and codePoint of
+   *   the offending code point, and for excess marks their count
+   * @throws {RangeError} If maxCombiningMarks is not a non-negative integer or Infinity
+   * @example
+   * new GCString("a\uD800b").wellFormedReport()
+   * // { isWellFormed: false, problems: [{ type: 'lone-surrogate', index: 1,
+   * //   codeUnitIndex: 1, codePoint: 0xD800 }] }
+   */
+  wellFormedReport({ maxCombiningMarks = 30 } = {}) {
+    checkMarkLimit(maxCombiningMarks);
+    const boundaries = this.#getBoundaries();
+    const problems = [];
+    this.#graphemes.forEach((grapheme, index) => {
+      for (const { type, offset, codePoint } of graphemeProblems(grapheme, maxCombiningMarks)) {
+        const last = problems.at(-1);
+        if (type === 'excess-combining-marks' && last?.type === type && last.index === index) {
+          last.count++;
+          continue;
+        }
+        const problem = { type, index, codeUnitIndex: boundaries[index] + offset, codePoint };
+        if (type === 'excess-combining-marks') problem.count = 1;
+        problems.push(problem);
+      }
+    });
+    return { isWellFormed: problems.length === 0, problems };
+  }
+  
+  /**
+   * Repairs the problems listed by wellFormedReport(). Combining marks beyond
+   * maxCombiningMarks are removed from each cluster; lone surrogates, orphan joiners
+   * and dangling variation selectors are removed, or replaced with a replacement string.
+   * @param {Object} [options] - Sanitizing options
+   * @param {number} [options.maxCombiningMarks=30] - Combining marks allowed per grapheme cluster
+   * @param {boolean} [options.dropLoneSurrogates=true] - Fix unpaired surrogates
+   * @param {boolean} [options.dropOrphanJoiners=true] - Fix ZWJs that join nothing
+   * @param {boolean} [options.dropDanglingSelectors=true] - Fix variation selectors
+   *   without a base character
+   * @param {string} [options.replacement=''] - The string put in place of each fixed
+   *   code point, e.g. '\uFFFD'
+   * @returns {GCString} A new sanitized GCString
+   * @throws {RangeError} If maxCombiningMarks is not a non-negative integer or Infinity
+   * @example
+   * new GCString("Z\u0335\u0321\u0322\u0327o").sanitize({ maxCombiningMarks: 1 })
+   * // GCString("Z\u0335o")
+   */
+  sanitize({
+    maxCombiningMarks = 30, dropLoneSurrogates = true, dropOrphanJoiners = true,
+    dropDanglingSelectors = true, replacement = ''
+  } = {}) {
+    checkMarkLimit(maxCombiningMarks);
+    const options = {
+      maxCombiningMarks, dropLoneSurrogates, dropOrphanJoiners, dropDanglingSelectors,
+      replacement: String(replacement)
+    };
+    return new GCString(this.#graphemes.map(grapheme => 
+      sanitizeGrapheme(grapheme, options)).join(''));
+  }
+  
   /**
    * Repeats the string a specified number of times.
    * @param {number} count - Number of times to repeat (must be non-negative)
@@ -307,8 +1964,9 @@ class GCString {
    * for (const char of new GCString("👋 Hi")) { console.log(char); }
    */
   *[Symbol.iterator]() {
-    for (const grapheme of this.#graphemes) {
-      yield grapheme;
+    const length = this.length;
+    for (let i = 0; i < length; i++) {
+      yield this.#graphemeAt(i);
     }
   }
   
@@ -346,6 +2004,133 @@ class GCString {
     return new GCString(this.#value.toLocaleUpperCase(locale));
   }
   
+  /**
+   * Applies full Unicode case folding for caseless matching. Folding can change the
+   * number of graphemes (ß becomes ss), so the result maps indices both ways: a match
+   * [start, end) in the folded string covers the original graphemes
+   * [toOriginal[start], toOriginal[end - 1] + 1).
+   * @returns {Object} folded (the folded GCString), toFolded (first folded grapheme of
+   *   each original grapheme, plus the folded length) and toOriginal (original grapheme
+   *   of each folded grapheme, plus the original length)
+   * @example
+   * const { folded, toOriginal } = new GCString("Straße!").foldCase();
+   * folded.value      // "strasse!"
+   * toOriginal[6]     // 5
+   */
+  foldCase() {
+    const graphemes = this.#graphemes;
+    const parts = graphemes.map(foldCase);
+    const folded = new GCString(parts.join(''));
+    const boundaries = folded.#getBoundaries();
+    
+    const toFolded = new Array(parts.length + 1);
+    const toOriginal = new Array(folded.length + 1);
+    let offset = 0;
+    let next = 0;
+    for (let i = 0; i < parts.length; i++) {
+      toFolded[i] = floorBoundary(boundaries, offset);
+      offset += parts[i].length;
+      while (next < folded.length && boundaries[next] < offset) toOriginal[next++] = i;
+    }
+    toFolded[parts.length] = folded.length;
+    toOriginal[folded.length] = parts.length;
+    return { folded, toFolded, toOriginal };
+  }
+  
+  /**
+   * Checks whether a word segment at a grapheme index may be capitalized, i.e. is not
+   * glued to a preceding emoji, digit or letter that the word segmenter split off.
+   * @param {number} index - Grapheme index where the word segment starts
+   * @returns {boolean} true if the index starts the string or follows a separator
+   */
+  #startsWord(index) {
+    return index === 0 || WORD_SEPARATOR.test(this.#graphemeAt(index - 1));
+  }
+  
+  /**
+   * Titlecases the first grapheme of each given word (both letters of a Dutch "ij")
+   * and optionally lowercases everything else.
+   * @param {Array<Object>} words - Word ranges, in order
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @param {boolean} lowerRest - Whether to lowercase the text outside the word starts
+   * @returns {GCString} The recased string
+   */
+  #titleCaseWords(words, locale, lowerRest) {
+    const value = this.#value;
+    const boundaries = this.#getBoundaries();
+    const dutch = isDutch(locale);
+    const rest = (str) => lowerRest ? str.toLocaleLowerCase(locale) : str;
+    
+    let result = '';
+    let offset = 0;
+    for (const { start, end } of words) {
+      const first = this.#graphemeAt(start);
+      let head = titleCaseGrapheme(first, locale);
+      let next = start + 1;
+      if (dutch && next < end && /^[iI]$/.test(first) && /^[jJ]$/.test(this.#graphemeAt(next))) {
+        head = 'IJ';
+        next++;
+      }
+      result += rest(value.slice(offset, boundaries[start])) + head;
+      offset = boundaries[next];
+    }
+    return new GCString(result + rest(value.slice(offset)));
+  }
+  
+  /**
+   * Titlecases the first grapheme of the first word, leaving the rest unchanged.
+   * A word glued to a leading emoji is not capitalized.
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @returns {GCString} A new GCString with the first word capitalized
+   * @example
+   * new GCString("\u01F3emal").capitalize()    // GCString("\u01F2emal")
+   * new GCString("ijssel").capitalize('nl')   // GCString("IJssel")
+   */
+  capitalize(locale) {
+    const word = this.#segmentRanges('word', locale).find(({ isWordLike }) => isWordLike);
+    const words = word !== undefined && this.#startsWord(word.start) ? [word] : [];
+    return this.#titleCaseWords(words, locale, false);
+  }
+  
+  /**
+   * Titlecases the first grapheme of every word and lowercases the rest.
+   * Words glued to a leading emoji are lowercased but not capitalized.
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @returns {GCString} A new GCString in title case
+   * @example
+   * new GCString("the QUICK brown fox").titleCase()  // GCString("The Quick Brown Fox")
+   */
+  titleCase(locale) {
+    const words = this.#segmentRanges('word', locale)
+      .filter(({ start, isWordLike }) => isWordLike && this.#startsWord(start));
+    return this.#titleCaseWords(words, locale, true);
+  }
+  
+  /**
+   * Titlecases the first grapheme of the first word of every sentence and lowercases
+   * the rest. Sentences are found as if every letter were uppercase, so that a full
+   * stop followed by a lowercase word still ends a sentence.
+   * @param {string|string[]} [locale] - Locale or array of locales
+   * @returns {GCString} A new GCString in sentence case
+   * @example
+   * new GCString("HELLO THERE. HOW ARE YOU?").sentenceCase()
+   * // GCString("Hello there. How are you?")
+   */
+  sentenceCase(locale) {
+    const words = this.#segmentRanges('word', locale).filter(({ isWordLike }) => isWordLike);
+    const firstWords = [];
+    let i = 0;
+    const upper = this.#value.replace(/\p{Lowercase}/gu, (char) => 'A'.repeat(char.length));
+    for (const sentence of this.#segmentRanges('sentence', locale, upper)) {
+      while (i < words.length && words[i].start < sentence.start) i++;
+      const word = words[i];
+      if (word !== undefined && word.start < sentence.end && this.#startsWord(word.start)) {
+        firstWords.push(word);
+      }
+    }
+    return this.#titleCaseWords(firstWords, locale, true);
+  }
+  
   /**
    * Removes whitespace from both ends of the string.
    * @returns {GCString} A new trimmed GCString
@@ -386,6 +2171,60 @@ class GCString {
     return this.#value;
   }
   
+  /**
+   * Returns the primitive string value for JSON.stringify(), so that a GCString
+   * serializes as a JSON string rather than as an empty object.
+   * @returns {string} The underlying string
+   * @example
+   * JSON.stringify({ name: new GCString("Zoë") })  // '{"name":"Zoë"}'
+   */
+  toJSON() {
+    return this.#value;
+  }
+  
+  /**
+   * A JSON.parse() reviver that turns every string value back into a GCString.
+   * To revive only some properties, call it from a reviver that checks the key.
+   * @param {string} key - The property name
+   * @param {*} value - The parsed value
+   * @returns {*} A GCString for string values, otherwise the value unchanged
+   * @example
+   * JSON.parse('{"name":"Zoë"}', GCString.reviver).name  // GCString("Zoë")
+   */
+  static reviver(key, value) {
+    return typeof value === 'string' ? new GCString(value) : value;
+  }
+  
+  /**
+   * Converts the GCString to a primitive for template literals, concatenation,
+   * comparison and numeric conversion, whatever the hint.
+   * @param {string} hint - 'string', 'number' or 'default'
+   * @returns {string} The underlying string
+   * @example
+   * `${new GCString("👋")}!`   // "👋!"
+   * +new GCString("42")       // 42
+   */
+  [Symbol.toPrimitive](hint) {
+    return this.#value;
+  }
+  
+  /**
+   * Custom display for Node's util.inspect() and console.log(), showing the value
+   * with its grapheme and code unit lengths.
+   * @param {number} depth - The remaining inspection depth
+   * @param {Object} options - The util.inspect() options
+   * @param {Function} inspect - util.inspect()
+   * @returns {string} The display string
+   * @example
+   * console.log(new GCString("👨‍👩‍👧"))
+   * // GCString('👨‍👩‍👧') { length: 1, codeUnitLength: 8 }
+   */
+  [Symbol.for('nodejs.util.inspect.custom')](depth, options, inspect) {
+    const value = inspect === undefined ? JSON.stringify(this.#value) : inspect(this.#value, options);
+    return `${this.constructor.name}(${value}) { length: ${this.length}, ` + 
+      `codeUnitLength: ${this.codeUnitLength} }`;
+  }
+  
   /**
    * Concatenates strings together.
    * @param {...(string|GCString)} strings - Strings to concatenate
@@ -401,5 +2240,221 @@ class GCString {
   }
 }
 
+/**
+ * GCStringBuilder - Mutable builder for assembling a GCString incrementally.
+ * 
+ * Appending only re-segments the seam between the last grapheme and the new text,
+ * so building a string piece by piece stays linear. Seams that merge clusters,
+ * such as two regional indicators forming a flag or a trailing ZWJ joining the
+ * next emoji, are handled by that re-segmentation.
+ * 
+ * @example
+ * const builder = new GCStringBuilder();
+ * builder.append("🇺").append("🇸").append("👨\u200D").append("👩");
+ * builder.length   // 2
+ * builder.build()  // GCString("🇺🇸👨‍👩")
+ */
+class GCStringBuilder {
+  #parts = [];
+  #codeUnitLength = 0;
+  #boundaries = [0];
+  #tail = '';
+  
+  /**
+   * Creates a new builder.
+   * @param {string|GCString} [str=''] - Initial content
+   */
+  constructor(str = '') {
+    this.append(str);
+  }
+  
+  /**
+   * Gets the number of grapheme clusters built so far.
+   * @returns {number} The grapheme cluster count
+   */
+  get length() {
+    return this.#boundaries.length - 1;
+  }
+  
+  /**
+   * Gets the number of UTF-16 code units built so far.
+   * @returns {number} The code unit count
+   */
+  get codeUnitLength() {
+    return this.#codeUnitLength;
+  }
+  
+  /**
+   * Joins the pending parts into a single string.
+   * @returns {string} The text built so far
+   */
+  #text() {
+    if (this.#parts.length > 1) {
+      this.#parts = [this.#parts.join('')];
+    }
+    return this.#parts[0] ?? '';
+  }
+  
+  /**
+   * Appends text, re-segmenting only the last grapheme together with the new text.
+   * @param {string|GCString} str - The text to append
+   * @returns {GCStringBuilder} This builder, for chaining
+   * @example
+   * new GCStringBuilder("🇺").append("🇸").length  // 1
+   */
+  append(str) {
+    const text = str instanceof GCString ? str.value : String(str);
+    if (text === '') return this;
+    
+    const boundaries = this.#boundaries;
+    const count = boundaries.length - 1;
+    const base = count > 0 ? boundaries[count - 1] : 0;
+    const seam = segmentIntoBoundaries(this.#tail + text);
+    
+    boundaries.length = Math.max(count, 1);
+    for (let i = 1; i < seam.length; i++) {
+      boundaries.push(base + seam[i]);
+    }
+    this.#tail = (this.#tail + text).slice(seam[seam.length - 2]);
+    this.#parts.push(text);
+    this.#codeUnitLength += text.length;
+    return this;
+  }
+  
+  /**
+   * Appends each grapheme of an iterable, such as an array of graphemes or a GCString.
+   * @param {Iterable<string>} graphemes - The graphemes to append
+   * @returns {GCStringBuilder} This builder, for chaining
+   */
+  appendGraphemes(graphemes) {
+    for (const grapheme of graphemes) {
+      this.append(grapheme);
+    }
+    return this;
+  }
+  
+  /**
+   * Returns a range of the text built so far without joining the pending parts.
+   * @param {number} start - Code unit index to start at
+   * @param {number} end - Code unit index to end before
+   * @returns {string} The text in the range
+   */
+  #slice(start, end) {
+    let result = '';
+    let offset = 0;
+    for (const part of this.#parts) {
+      const next = offset + part.length;
+      if (next > start && offset < end) {
+        result += part.slice(Math.max(start - offset, 0), end - offset);
+      }
+      if (next >= end) break;
+      offset = next;
+    }
+    return result;
+  }
+  
+  /**
+   * Splices text into the pending parts, splitting only the part it falls in.
+   * @param {number} at - Code unit index to insert at
+   * @param {string} text - The text to insert
+   */
+  #spliceText(at, text) {
+    let offset = 0;
+    for (let i = 0; i < this.#parts.length; i++) {
+      const part = this.#parts[i];
+      if (at <= offset + part.length) {
+        const cut = at - offset;
+        this.#parts.splice(i, 1, ...[part.slice(0, cut), text, part.slice(cut)].filter(Boolean));
+        return;
+      }
+      offset += part.length;
+    }
+  }
+  
+  /**
+   * Inserts text before a grapheme index. The graphemes from the one before the
+   * insertion point are re-segmented, extending over following graphemes until a
+   * new boundary after the inserted text lines up with an old one; from there on
+   * the old boundaries are reused, shifted by the inserted length. The extension
+   * covers text that joins the clusters after it, such as a pictograph before a
+   * ZWJ sequence, a consonant before a virama, or a regional indicator that
+   * re-pairs the flags after it.
+   * @param {number} index - Grapheme index to insert at, from 0 to length
+   * @param {string|GCString} str - The text to insert
+   * @returns {GCStringBuilder} This builder, for chaining
+   * @throws {RangeError} If index is out of range
+   * @example
+   * new GCStringBuilder("\u200D👩").insert(0, "👨").length  // 1
+   */
+  insert(index, str) {
+    const count = this.length;
+    if (!Number.isInteger(index) || index < 0 || index > count) {
+      throw new RangeError(`Grapheme index out of range: ${index}`);
+    }
+    const text = str instanceof GCString ? str.value : String(str);
+    if (text === '') return this;
+    if (index === count) return this.append(text);
+    
+    const boundaries = this.#boundaries;
+    const from = Math.max(index - 1, 0);
+    const base = boundaries[from];
+    const at = boundaries[index];
+    const head = this.#slice(base, at) + text;
+    let to = index + 1;
+    let seam;
+    let end;
+    let last;
+    for (;;) {
+      seam = segmentIntoBoundaries(head + this.#slice(at, boundaries[to]));
+      end = seam.length - 1;
+      last = to;
+      let k = index;
+      for (let j = 1; j < seam.length - 1; j++) {
+        if (seam[j] < head.length) continue;
+        const old = base + seam[j] - text.length;
+        while (boundaries[k] < old) k++;
+        if (boundaries[k] === old) {
+          end = j;
+          last = k;
+          break;
+        }
+      }
+      if (end < seam.length - 1 || to === count) break;
+      to = Math.min(to + (to - from), count);
+    }
+    
+    const spliced = seam.slice(1, end + 1).map(offset => base + offset);
+    boundaries.splice(from + 1, last - from, ...spliced);
+    for (let i = from + 1 + spliced.length; i < boundaries.length; i++) {
+      boundaries[i] += text.length;
+    }
+    
+    this.#spliceText(at, text);
+    this.#codeUnitLength += text.length;
+    if (last === count) {
+      this.#tail = this.#slice(boundaries[boundaries.length - 2], this.#codeUnitLength);
+    }
+    return this;
+  }
+  
+  /**
+   * Creates an immutable GCString from the content built so far, reusing the
+   * builder's segmentation. The builder can keep being used afterwards.
+   * @returns {GCString} The built GCString
+   */
+  build() {
+    return fromSegmentation(this.#text(), Uint32Array.from(this.#boundaries));
+  }
+  
+  /**
+   * Returns the text built so far.
+   * @returns {string} The text
+   */
+  toString() {
+    return this.#text();
+  }
+}
+
+export { GCStringBuilder };
 export default GCString;
 
@@ -24,6 +24,17 @@ class GCStringD extends GCString {
     console.log('[GCStringD constructor] Created:', this.toString());
   }
   
+  /**
+   * Debug wrapper for fromRegionCode
+   */
+  static fromRegionCode(code) {
+    console.log('[fromRegionCode] Input:', { code });
+    const result = super.fromRegionCode(code);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[fromRegionCode] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
   /**
    * Debug wrapper for charAt
    */
@@ -44,6 +55,106 @@ class GCStringD extends GCString {
     return result;
   }
   
+  /**
+   * Debug wrapper for inspect
+   */
+  inspect(index) {
+    console.log('[inspect] Input:', { index });
+    const result = super.inspect(index);
+    console.log('[inspect] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for classify
+   */
+  classify() {
+    console.log('[classify] Input: (none)');
+    const result = super.classify();
+    console.log('[classify] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for getDisplayWidth
+   */
+  getDisplayWidth(options) {
+    console.log('[getDisplayWidth] Input:', { options });
+    const result = super.getDisplayWidth(options);
+    console.log('[getDisplayWidth] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for widthAt
+   */
+  widthAt(index, options) {
+    console.log('[widthAt] Input:', { index, options });
+    const result = super.widthAt(index, options);
+    console.log('[widthAt] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for graphemeToCodeUnit
+   */
+  graphemeToCodeUnit(index) {
+    console.log('[graphemeToCodeUnit] Input:', { index });
+    const result = super.graphemeToCodeUnit(index);
+    console.log('[graphemeToCodeUnit] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for codeUnitToGrapheme
+   */
+  codeUnitToGrapheme(offset, policy) {
+    console.log('[codeUnitToGrapheme] Input:', { offset, policy });
+    const result = super.codeUnitToGrapheme(offset, policy);
+    console.log('[codeUnitToGrapheme] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for graphemeToCodePoint
+   */
+  graphemeToCodePoint(index) {
+    console.log('[graphemeToCodePoint] Input:', { index });
+    const result = super.graphemeToCodePoint(index);
+    console.log('[graphemeToCodePoint] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for codePointToGrapheme
+   */
+  codePointToGrapheme(offset, policy) {
+    console.log('[codePointToGrapheme] Input:', { offset, policy });
+    const result = super.codePointToGrapheme(offset, policy);
+    console.log('[codePointToGrapheme] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for graphemeToByte
+   */
+  graphemeToByte(index) {
+    console.log('[graphemeToByte] Input:', { index });
+    const result = super.graphemeToByte(index);
+    console.log('[graphemeToByte] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for byteToGrapheme
+   */
+  byteToGrapheme(offset, policy) {
+    console.log('[byteToGrapheme] Input:', { offset, policy });
+    const result = super.byteToGrapheme(offset, policy);
+    console.log('[byteToGrapheme] Output:', result);
+    return result;
+  }
+  
   /**
    * Debug wrapper for slice
    */
@@ -81,12 +192,13 @@ class GCStringD extends GCString {
   /**
    * Debug wrapper for indexOf
    */
-  indexOf(searchString, position = 0) {
+  indexOf(searchString, position = 0, options) {
     console.log('[indexOf] Input:', { 
       searchString: searchString instanceof GCString ? searchString.toString() : searchString, 
-      position 
+      position,
+      options
     });
-    const result = super.indexOf(searchString, position);
+    const result = super.indexOf(searchString, position, options);
     console.log('[indexOf] Output:', result);
     return result;
   }
@@ -94,12 +206,13 @@ class GCStringD extends GCString {
   /**
    * Debug wrapper for lastIndexOf
    */
-  lastIndexOf(searchString, position) {
+  lastIndexOf(searchString, position, options) {
     console.log('[lastIndexOf] Input:', { 
       searchString: searchString instanceof GCString ? searchString.toString() : searchString, 
-      position 
+      position,
+      options
     });
-    const result = super.lastIndexOf(searchString, position);
+    const result = super.lastIndexOf(searchString, position, options);
     console.log('[lastIndexOf] Output:', result);
     return result;
   }
@@ -107,12 +220,13 @@ class GCStringD extends GCString {
   /**
    * Debug wrapper for includes
    */
-  includes(searchString, position = 0) {
+  includes(searchString, position = 0, options) {
     console.log('[includes] Input:', { 
       searchString: searchString instanceof GCString ? searchString.toString() : searchString, 
-      position 
+      position,
+      options
     });
-    const result = super.includes(searchString, position);
+    const result = super.includes(searchString, position, options);
     console.log('[includes] Output:', result);
     return result;
   }
@@ -120,12 +234,13 @@ class GCStringD extends GCString {
   /**
    * Debug wrapper for startsWith
    */
-  startsWith(searchString, position = 0) {
+  startsWith(searchString, position = 0, options) {
     console.log('[startsWith] Input:', { 
       searchString: searchString instanceof GCString ? searchString.toString() : searchString, 
-      position 
+      position,
+      options
     });
-    const result = super.startsWith(searchString, position);
+    const result = super.startsWith(searchString, position, options);
     console.log('[startsWith] Output:', result);
     return result;
   }
@@ -133,16 +248,83 @@ class GCStringD extends GCString {
   /**
    * Debug wrapper for endsWith
    */
-  endsWith(searchString, endPosition) {
+  endsWith(searchString, endPosition, options) {
     console.log('[endsWith] Input:', { 
       searchString: searchString instanceof GCString ? searchString.toString() : searchString, 
-      endPosition 
+      endPosition,
+      options
     });
-    const result = super.endsWith(searchString, endPosition);
+    const result = super.endsWith(searchString, endPosition, options);
     console.log('[endsWith] Output:', result);
     return result;
   }
   
+  /**
+   * Debug wrapper for normalize
+   */
+  normalize(form) {
+    console.log('[normalize] Input:', { form });
+    const result = super.normalize(form);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[normalize] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for equals
+   */
+  equals(other, options) {
+    console.log('[equals] Input:', { 
+      other: other instanceof GCString ? other.toString() : other, 
+      options 
+    });
+    const result = super.equals(other, options);
+    console.log('[equals] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for skeleton
+   */
+  skeleton() {
+    console.log('[skeleton] Input: (none)');
+    const result = super.skeleton();
+    console.log('[skeleton] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for isConfusableWith
+   */
+  isConfusableWith(other) {
+    console.log('[isConfusableWith] Input:', { 
+      other: other instanceof GCString ? other.toString() : other 
+    });
+    const result = super.isConfusableWith(other);
+    console.log('[isConfusableWith] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for mixedScriptReport
+   */
+  mixedScriptReport() {
+    console.log('[mixedScriptReport] Input: (none)');
+    const result = super.mixedScriptReport();
+    console.log('[mixedScriptReport] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for scriptRuns
+   */
+  scriptRuns() {
+    console.log('[scriptRuns] Input: (none)');
+    const result = super.scriptRuns();
+    console.log('[scriptRuns] Output:', result);
+    return result;
+  }
+  
   /**
    * Debug wrapper for split
    */
@@ -158,12 +340,83 @@ class GCStringD extends GCString {
     return debugResults;
   }
   
+  /**
+   * Debug wrapper for replace
+   */
+  replace(pattern, replacement, options) {
+    console.log('[replace] Input:', { 
+      pattern: pattern instanceof GCString ? pattern.toString() : pattern, 
+      replacement, 
+      options 
+    });
+    const result = super.replace(pattern, replacement, options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[replace] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for replaceAll
+   */
+  replaceAll(pattern, replacement, options) {
+    console.log('[replaceAll] Input:', { 
+      pattern: pattern instanceof GCString ? pattern.toString() : pattern, 
+      replacement, 
+      options 
+    });
+    const result = super.replaceAll(pattern, replacement, options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[replaceAll] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for match
+   */
+  match(regexp, options) {
+    console.log('[match] Input:', { regexp, options });
+    const result = super.match(regexp, options);
+    console.log('[match] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for matchAll
+   */
+  matchAll(regexp, options) {
+    console.log('[matchAll] Input:', { regexp, options });
+    const results = [...super.matchAll(regexp, options)];
+    console.log('[matchAll] Output:', results);
+    return results.values();
+  }
+  
+  /**
+   * Debug wrapper for search
+   */
+  search(regexp, options) {
+    console.log('[search] Input:', { regexp, options });
+    const result = super.search(regexp, options);
+    console.log('[search] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for wrap
+   */
+  wrap(width, options) {
+    console.log('[wrap] Input:', { width, options });
+    const result = super.wrap(width, options);
+    const debugResults = result.map(line => new GCStringD(line.toString()));
+    console.log('[wrap] Output:', debugResults.map(d => d.toString()));
+    return debugResults;
+  }
+  
   /**
    * Debug wrapper for padStart
    */
-  padStart(targetLength, padString = ' ') {
-    console.log('[padStart] Input:', { targetLength, padString });
-    const result = super.padStart(targetLength, padString);
+  padStart(targetLength, padString = ' ', options) {
+    console.log('[padStart] Input:', { targetLength, padString, options });
+    const result = super.padStart(targetLength, padString, options);
     const debugResult = new GCStringD(result.toString());
     console.log('[padStart] Output:', debugResult.toString());
     return debugResult;
@@ -172,14 +425,216 @@ class GCStringD extends GCString {
   /**
    * Debug wrapper for padEnd
    */
-  padEnd(targetLength, padString = ' ') {
-    console.log('[padEnd] Input:', { targetLength, padString });
-    const result = super.padEnd(targetLength, padString);
+  padEnd(targetLength, padString = ' ', options) {
+    console.log('[padEnd] Input:', { targetLength, padString, options });
+    const result = super.padEnd(targetLength, padString, options);
     const debugResult = new GCStringD(result.toString());
     console.log('[padEnd] Output:', debugResult.toString());
     return debugResult;
   }
   
+  /**
+   * Debug wrapper for padCenter
+   */
+  padCenter(targetLength, padString = ' ', options) {
+    console.log('[padCenter] Input:', { targetLength, padString, options });
+    const result = super.padCenter(targetLength, padString, options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[padCenter] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for align
+   */
+  align(width, alignment = 'left', options) {
+    console.log('[align] Input:', { width, alignment, options });
+    const result = super.align(width, alignment, options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[align] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for words
+   */
+  words(locale) {
+    console.log('[words] Input:', { locale });
+    const result = super.words(locale);
+    console.log('[words] Output:', result.map(w => w.segment.toString()));
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for sentences
+   */
+  sentences(locale) {
+    console.log('[sentences] Input:', { locale });
+    const result = super.sentences(locale);
+    console.log('[sentences] Output:', result.map(s => s.segment.toString()));
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for truncate
+   */
+  truncate(max, options) {
+    console.log('[truncate] Input:', { max, options });
+    const result = super.truncate(max, options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[truncate] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for reverse
+   */
+  reverse(options) {
+    console.log('[reverse] Input:', { options });
+    const result = super.reverse(options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[reverse] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for direction
+   */
+  direction(method) {
+    console.log('[direction] Input:', { method });
+    const result = super.direction(method);
+    console.log('[direction] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for isolate
+   */
+  isolate() {
+    console.log('[isolate] Input: (none)');
+    const result = super.isolate();
+    const debugResult = new GCStringD(result.toString());
+    console.log('[isolate] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for bidiControls
+   */
+  bidiControls() {
+    console.log('[bidiControls] Input: (none)');
+    const result = super.bidiControls();
+    console.log('[bidiControls] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for stripSkinTones
+   */
+  stripSkinTones() {
+    console.log('[stripSkinTones] Input: (none)');
+    const result = super.stripSkinTones();
+    const debugResult = new GCStringD(result.toString());
+    console.log('[stripSkinTones] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for replaceSkinTones
+   */
+  replaceSkinTones(tone) {
+    console.log('[replaceSkinTones] Input:', { tone });
+    const result = super.replaceSkinTones(tone);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[replaceSkinTones] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for applySkinTone
+   */
+  applySkinTone(tone) {
+    console.log('[applySkinTone] Input:', { tone });
+    const result = super.applySkinTone(tone);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[applySkinTone] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for addEmojiPresentation
+   */
+  addEmojiPresentation() {
+    console.log('[addEmojiPresentation] Input: (none)');
+    const result = super.addEmojiPresentation();
+    const debugResult = new GCStringD(result.toString());
+    console.log('[addEmojiPresentation] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for removeEmojiPresentation
+   */
+  removeEmojiPresentation() {
+    console.log('[removeEmojiPresentation] Input: (none)');
+    const result = super.removeEmojiPresentation();
+    const debugResult = new GCStringD(result.toString());
+    console.log('[removeEmojiPresentation] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for regionCodes
+   */
+  regionCodes() {
+    console.log('[regionCodes] Input: (none)');
+    const result = super.regionCodes();
+    console.log('[regionCodes] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for findInvisibles
+   */
+  findInvisibles(options) {
+    console.log('[findInvisibles] Input:', { options });
+    const result = super.findInvisibles(options);
+    console.log('[findInvisibles] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for stripInvisibles
+   */
+  stripInvisibles(options) {
+    console.log('[stripInvisibles] Input:', { options });
+    const result = super.stripInvisibles(options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[stripInvisibles] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for wellFormedReport
+   */
+  wellFormedReport(options) {
+    console.log('[wellFormedReport] Input:', { options });
+    const result = super.wellFormedReport(options);
+    console.log('[wellFormedReport] Output:', result);
+    return result;
+  }
+  
+  /**
+   * Debug wrapper for sanitize
+   */
+  sanitize(options) {
+    console.log('[sanitize] Input:', { options });
+    const result = super.sanitize(options);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[sanitize] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
   /**
    * Debug wrapper for repeat
    */
@@ -235,6 +690,50 @@ class GCStringD extends GCString {
     return debugResult;
   }
   
+  /**
+   * Debug wrapper for foldCase
+   */
+  foldCase() {
+    console.log('[foldCase] Input: (none)');
+    const result = super.foldCase();
+    const debugResult = { ...result, folded: new GCStringD(result.folded.toString()) };
+    console.log('[foldCase] Output:', debugResult.folded.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for capitalize
+   */
+  capitalize(locale) {
+    console.log('[capitalize] Input:', { locale });
+    const result = super.capitalize(locale);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[capitalize] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for titleCase
+   */
+  titleCase(locale) {
+    console.log('[titleCase] Input:', { locale });
+    const result = super.titleCase(locale);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[titleCase] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
+  /**
+   * Debug wrapper for sentenceCase
+   */
+  sentenceCase(locale) {
+    console.log('[sentenceCase] Input:', { locale });
+    const result = super.sentenceCase(locale);
+    const debugResult = new GCStringD(result.toString());
+    console.log('[sentenceCase] Output:', debugResult.toString());
+    return debugResult;
+  }
+  
   /**
    * Debug wrapper for trim
    */
@@ -0,0 +1,8 @@
+/**
+ * gee_cee package entry point.
+ * Re-exports GCString as the default export, and GCStringBuilder.
+ */
+import GCString from './gcstring.js';
+
+export { GCStringBuilder } from './gcstring.js';
+export default GCString;
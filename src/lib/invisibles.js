@@ -0,0 +1,53 @@
+import { INVISIBLE_NAMES } from './data/invisibles.js';
+import { isEmojiTail, isFlag, isRgiEmoji } from './emoji.js';
+
+/**
+ * Invisible character helpers - finds the default ignorable code points (zero width
+ * spaces and joiners, soft hyphens, bidi controls, tag characters...) that render as
+ * nothing but make visually identical strings unequal.
+ */
+
+const INVISIBLE = /^(?!\p{Variation_Selector})\p{Default_Ignorable_Code_Point}$/u;
+const PICTOGRAPHIC = /^\p{Extended_Pictographic}$/u;
+const ZWJ = '\u200D';
+
+const names = new Map();
+for (let i = 0; i < INVISIBLE_NAMES.length; i += 2) names.set(INVISIBLE_NAMES[i], INVISIBLE_NAMES[i + 1]);
+
+/**
+ * Returns the name of an invisible code point, or its code point label for
+ * reserved default ignorable code points.
+ * @param {number} codePoint - The code point
+ * @returns {string} The name, such as 'ZERO WIDTH SPACE' or '<reserved-E0080>'
+ */
+const invisibleName = (codePoint) =>
+  names.get(codePoint) ?? `<reserved-${codePoint.toString(16).toUpperCase().padStart(4, '0')}>`;
+
+/**
+ * Finds the invisible code points of a grapheme cluster. Variation selectors are not
+ * invisibles, and neither are the tag characters of an RGI flag such as 🏴 England;
+ * a ZWJ between two emoji is kept when keepZWJInEmoji is set.
+ * @param {string} grapheme - A single grapheme cluster
+ * @param {boolean} keepZWJInEmoji - Skip ZWJs that join emoji
+ * @returns {Array<{offset: number, codePoint: number, name: string}>} The invisibles,
+ *   with their code unit offset within the cluster
+ */
+const graphemeInvisibles = (grapheme, keepZWJInEmoji) => {
+  const chars = [...grapheme];
+  const isTagFlag = isFlag(grapheme) && isRgiEmoji(grapheme);
+  const invisibles = [];
+  let offset = 0;
+  chars.forEach((char, i) => {
+    const codePoint = char.codePointAt(0);
+    const joinsEmoji = char === ZWJ &&
+      isEmojiTail(chars[i - 1] ?? '') && PICTOGRAPHIC.test(chars[i + 1] ?? '');
+    if (INVISIBLE.test(char) && !(isTagFlag && codePoint >= 0xE0000) &&
+        !(keepZWJInEmoji && joinsEmoji)) {
+      invisibles.push({ offset, codePoint, name: invisibleName(codePoint) });
+    }
+    offset += char.length;
+  });
+  return invisibles;
+};
+
+export { graphemeInvisibles, invisibleName };
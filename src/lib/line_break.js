@@ -0,0 +1,119 @@
+import { LINE_BREAK_RANGES } from './data/line_break.js';
+import { rangeValue } from './ranges.js';
+
+/**
+ * Line breaking helpers - finds line break opportunities between grapheme
+ * clusters following the pair rules of UAX #14 (Unicode Line Breaking Algorithm).
+ * 
+ * Rules are applied at grapheme granularity, so combining marks, ZWJ sequences,
+ * emoji modifiers and flags (LB8a, LB9, LB30a, LB30b) are already kept together.
+ * Complex-context (SA) scripts such as Thai are broken at dictionary word boundaries.
+ */
+
+const NO_BREAK = 0;
+const ALLOWED = 1;
+const MANDATORY = 2;
+
+const HARD_BREAKS = new Set(['BK', 'CR', 'LF', 'NL']);
+const ALPHA = new Set(['AL', 'HL']);
+
+/**
+ * Pairs (before + ' ' + after) that never break when directly adjacent (LB23-LB30).
+ */
+const NO_BREAK_PAIRS = new Set([
+  // LB23, LB23a
+  'AL NU', 'HL NU', 'NU AL', 'NU HL',
+  'PR ID', 'PR EB', 'PR EM', 'ID PO', 'EB PO', 'EM PO',
+  // LB24
+  'PR AL', 'PR HL', 'PO AL', 'PO HL', 'AL PR', 'AL PO', 'HL PR', 'HL PO',
+  // LB25
+  'CL PO', 'CP PO', 'CL PR', 'CP PR', 'NU PO', 'NU PR', 'PO OP', 'PO NU',
+  'PR OP', 'PR NU', 'HY NU', 'IS NU', 'NU NU', 'SY NU', 'OP NU',
+  // LB26, LB27
+  'JL JL', 'JL JV', 'JL H2', 'JL H3', 'JV JV', 'JV JT', 'H2 JV', 'H2 JT',
+  'JT JT', 'H3 JT', 'JL PO', 'JV PO', 'JT PO', 'H2 PO', 'H3 PO',
+  'PR JL', 'PR JV', 'PR JT', 'PR H2', 'PR H3',
+  // LB28, LB29, LB30
+  'AL AL', 'AL HL', 'HL AL', 'HL HL', 'IS AL', 'IS HL',
+  'AL OP', 'HL OP', 'NU OP', 'CP AL', 'CP HL', 'CP NU'
+]);
+
+/**
+ * Returns the Line_Break class of a grapheme cluster, taken from its first code point.
+ * Grapheme clusters that start with a combining mark are treated as AL (LB10).
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {string} The two-letter Line_Break class
+ */
+const lineBreakClass = (grapheme) => {
+  const cp = grapheme.codePointAt(0);
+  const cls = rangeValue(LINE_BREAK_RANGES, cp);
+  if (cls !== undefined) return cls;
+  if (cp >= 0xAC00 && cp <= 0xD7A3) {
+    return (cp - 0xAC00) % 28 === 0 ? 'H2' : 'H3';
+  }
+  return 'AL';
+};
+
+/**
+ * Decides whether a line may break between two graphemes.
+ * @param {Array<string>} classes - Line_Break classes of every grapheme
+ * @param {number} i - Index of the grapheme after the candidate break
+ * @param {Set<number>} wordBreaks - Grapheme indices of word boundaries, used for SA runs
+ * @returns {number} NO_BREAK, ALLOWED or MANDATORY
+ */
+const breakBefore = (classes, i, wordBreaks) => {
+  const before = classes[i - 1];
+  const after = classes[i];
+  
+  if (HARD_BREAKS.has(before)) return MANDATORY;
+  if (HARD_BREAKS.has(after) || after === 'SP' || after === 'ZW') return NO_BREAK;
+  
+  let j = i - 1;
+  while (j > 0 && classes[j] === 'SP') j--;
+  const beforeSpaces = classes[j];
+  
+  if (beforeSpaces === 'ZW') return ALLOWED;
+  if (before === 'WJ' || after === 'WJ' || before === 'GL') return NO_BREAK;
+  if (after === 'GL' && before !== 'SP' && before !== 'BA' && before !== 'HY') return NO_BREAK;
+  if (['CL', 'CP', 'EX', 'IS', 'SY'].includes(after)) return NO_BREAK;
+  if (beforeSpaces === 'OP') return NO_BREAK;
+  if (beforeSpaces === 'QU' && after === 'OP') return NO_BREAK;
+  if ((beforeSpaces === 'CL' || beforeSpaces === 'CP') && after === 'NS') return NO_BREAK;
+  if (beforeSpaces === 'B2' && after === 'B2') return NO_BREAK;
+  if (before === 'SP') return ALLOWED;
+  if (before === 'QU' || after === 'QU') return NO_BREAK;
+  if (before === 'CB' || after === 'CB') return ALLOWED;
+  if (after === 'BA' || after === 'HY' || after === 'NS' || before === 'BB') return NO_BREAK;
+  if (before === 'SY' && after === 'HL') return NO_BREAK;
+  if (after === 'IN') return NO_BREAK;
+  if (NO_BREAK_PAIRS.has(`${before} ${after}`)) return NO_BREAK;
+  if (before === 'SA' && after === 'SA') return wordBreaks.has(i) ? ALLOWED : NO_BREAK;
+  if ((before === 'SA' && ALPHA.has(after)) || (ALPHA.has(before) && after === 'SA')) {
+    return NO_BREAK;
+  }
+  return ALLOWED;
+};
+
+/**
+ * Finds the line break opportunity before each grapheme.
+ * @param {Array<string>} classes - Line_Break classes of every grapheme, from lineBreakClass
+ * @param {Set<number>} wordBreaks - Grapheme indices of word boundaries, used for SA runs
+ * @returns {Array<number>} For each index i, NO_BREAK, ALLOWED or MANDATORY before
+ *   grapheme i (index 0 is always NO_BREAK)
+ */
+const findLineBreaks = (classes, wordBreaks) => {
+  const breaks = [NO_BREAK];
+  for (let i = 1; i < classes.length; i++) {
+    breaks.push(breakBefore(classes, i, wordBreaks));
+  }
+  return breaks;
+};
+
+/**
+ * Checks whether a Line_Break class is a mandatory break (newline) character.
+ * @param {string} lineBreak - A Line_Break class
+ * @returns {boolean} true for BK, CR, LF and NL
+ */
+const isHardBreak = (lineBreak) => HARD_BREAKS.has(lineBreak);
+
+export { findLineBreaks, isHardBreak, lineBreakClass, NO_BREAK, ALLOWED, MANDATORY };
@@ -0,0 +1,46 @@
+/**
+ * Range table helpers - binary search over the flat code point range lists of the
+ * bundled Unicode data, shared by the property lookups.
+ */
+
+/**
+ * Finds the range containing a code point in a flat list of inclusive ranges, each
+ * stored as stride consecutive entries starting with [start, end].
+ * @param {Array<number|string>} ranges - Ascending ranges, flattened
+ * @param {number} stride - Number of entries per range: 2 for [start, end] pairs,
+ *   3 for [start, end, value] triples
+ * @param {number} cp - The code point
+ * @returns {number} The offset of the range's first entry, or -1 if none contains cp
+ */
+const findRange = (ranges, stride, cp) => {
+  let low = 0;
+  let high = ranges.length / stride - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (cp < ranges[mid * stride]) high = mid - 1;
+    else if (cp > ranges[mid * stride + 1]) low = mid + 1;
+    else return mid * stride;
+  }
+  return -1;
+};
+
+/**
+ * Checks whether a code point falls in a flat list of [start, end] range pairs.
+ * @param {Array<number>} ranges - Ascending inclusive range pairs
+ * @param {number} cp - The code point
+ * @returns {boolean} true if the code point is in one of the ranges
+ */
+const inRanges = (ranges, cp) => findRange(ranges, 2, cp) !== -1;
+
+/**
+ * Looks up a code point's value in a flat list of [start, end, value] range triples.
+ * @param {Array<number|string>} ranges - Ascending inclusive range triples
+ * @param {number} cp - The code point
+ * @returns {string|undefined} The value of the range containing cp, or undefined
+ */
+const rangeValue = (ranges, cp) => {
+  const offset = findRange(ranges, 3, cp);
+  return offset === -1 ? undefined : ranges[offset + 2];
+};
+
+export { inRanges, rangeValue };
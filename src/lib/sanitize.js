@@ -0,0 +1,101 @@
+import { isEmojiTail } from './emoji.js';
+
+/**
+ * Sanitizing helpers - finds the malformed or abusive code points of a grapheme
+ * cluster: lone surrogates, joiners and variation selectors that attach to nothing,
+ * and "Zalgo" stacks of combining marks.
+ */
+
+const SURROGATE = /^\p{Cs}$/u;
+const VARIATION_SELECTOR = /^\p{Variation_Selector}$/u;
+const COMBINING_MARK = /^\p{M}$/u;
+const NOT_A_BASE = /^[\p{M}\p{Cf}\p{Cc}\p{White_Space}\p{Emoji_Modifier}]$/u;
+const ZWJ = '\u200D';
+
+/**
+ * Checks whether a ZWJ joins nothing: it starts its cluster, follows another ZWJ, or
+ * ends a cluster after an emoji. A cluster-final ZWJ after a letter is kept, since it
+ * requests a joining or half form in Arabic and Indic scripts.
+ * @param {string|undefined} previous - The code point before the ZWJ in its cluster
+ * @param {string|undefined} next - The code point after the ZWJ in its cluster
+ * @returns {boolean} true for an orphan joiner
+ */
+const isOrphanJoiner = (previous, next) =>
+  previous === undefined || previous === ZWJ ||
+  (next === undefined && isEmojiTail(previous));
+
+/**
+ * Validates a combining mark limit.
+ * @param {number} limit - A non-negative integer or Infinity
+ * @throws {RangeError} If limit is not a non-negative integer or Infinity
+ */
+const checkMarkLimit = (limit) => {
+  if (limit !== Infinity && !(Number.isInteger(limit) && limit >= 0)) {
+    throw new RangeError(`Invalid maxCombiningMarks: ${limit}`);
+  }
+};
+
+/**
+ * Finds the problems in a grapheme cluster, one per offending code point. Variation
+ * selectors are dangling when they start the cluster or follow a mark, a format or
+ * control character, white space or a skin tone modifier rather than a base character.
+ * @param {string} grapheme - A single grapheme cluster
+ * @param {number} maxCombiningMarks - Number of combining marks allowed per cluster
+ * @returns {Array<{type: string, offset: number, codePoint: number}>} The problems, with
+ *   type 'lone-surrogate', 'orphan-joiner', 'dangling-selector' or
+ *   'excess-combining-marks' and the code unit offset within the cluster
+ */
+const graphemeProblems = (grapheme, maxCombiningMarks) => {
+  const chars = [...grapheme];
+  const problems = [];
+  let offset = 0;
+  let marks = 0;
+  chars.forEach((char, i) => {
+    const previous = chars[i - 1];
+    let type;
+    if (SURROGATE.test(char)) {
+      type = 'lone-surrogate';
+    } else if (char === ZWJ) {
+      if (isOrphanJoiner(previous, chars[i + 1])) type = 'orphan-joiner';
+    } else if (VARIATION_SELECTOR.test(char)) {
+      if (previous === undefined || NOT_A_BASE.test(previous)) type = 'dangling-selector';
+    } else if (COMBINING_MARK.test(char) && ++marks > maxCombiningMarks) {
+      type = 'excess-combining-marks';
+    }
+    if (type !== undefined) problems.push({ type, offset, codePoint: char.codePointAt(0) });
+    offset += char.length;
+  });
+  return problems;
+};
+
+/**
+ * Removes or replaces the problem code points of a grapheme cluster. Excess
+ * combining marks are always removed; the other problems are removed or replaced
+ * when their option is set.
+ * @param {string} grapheme - A single grapheme cluster
+ * @param {Object} options - Sanitizing options
+ * @param {number} options.maxCombiningMarks - Number of combining marks allowed per cluster
+ * @param {boolean} options.dropLoneSurrogates - Fix lone surrogates
+ * @param {boolean} options.dropOrphanJoiners - Fix orphan joiners
+ * @param {boolean} options.dropDanglingSelectors - Fix dangling variation selectors
+ * @param {string} options.replacement - The string put in place of each fixed code point
+ * @returns {string} The sanitized cluster
+ */
+const sanitizeGrapheme = (grapheme, options) => {
+  const fixes = {
+    'lone-surrogate': options.dropLoneSurrogates,
+    'orphan-joiner': options.dropOrphanJoiners,
+    'dangling-selector': options.dropDanglingSelectors
+  };
+  let sanitized = '';
+  let last = 0;
+  for (const { type, offset, codePoint } of graphemeProblems(grapheme, options.maxCombiningMarks)) {
+    if (type !== 'excess-combining-marks' && !fixes[type]) continue;
+    sanitized += grapheme.slice(last, offset);
+    if (type !== 'excess-combining-marks') sanitized += options.replacement;
+    last = offset + String.fromCodePoint(codePoint).length;
+  }
+  return last === 0 ? grapheme : sanitized + grapheme.slice(last);
+};
+
+export { checkMarkLimit, graphemeProblems, sanitizeGrapheme };
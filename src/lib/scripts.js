@@ -0,0 +1,86 @@
+import { SCRIPT_NAMES } from './data/scripts.js';
+
+/**
+ * Script helpers - Script property lookups (UAX #24) for grapheme clusters, and the
+ * resolved script sets of UTS #39 (Unicode Security Mechanisms) for mixed-script
+ * detection.
+ */
+
+const NEUTRAL_SCRIPTS = new Set(['Common', 'Inherited']);
+
+/**
+ * The writing systems each script belongs to besides itself: Han combines with Kana
+ * in Japanese, with Hangul in Korean and with Bopomofo (UTS #39 augmented script sets).
+ */
+const WRITING_SYSTEMS = {
+  Han: ['Japanese', 'Korean', 'Han_with_Bopomofo'],
+  Hiragana: ['Japanese'],
+  Katakana: ['Japanese'],
+  Hangul: ['Korean'],
+  Bopomofo: ['Han_with_Bopomofo']
+};
+
+/**
+ * Scripts tried first when looking up a code point, roughly by how often they occur.
+ */
+const FREQUENT_SCRIPTS = [
+  'Latin', 'Common', 'Inherited', 'Han', 'Cyrillic', 'Arabic', 'Hiragana', 'Katakana',
+  'Hangul', 'Devanagari', 'Greek', 'Hebrew', 'Thai'
+];
+
+/**
+ * \p{Script=...} matchers for every script the runtime knows, frequent scripts first.
+ */
+const scriptMatchers = [...new Set([...FREQUENT_SCRIPTS, ...SCRIPT_NAMES])].flatMap(name => {
+  try {
+    return [[name, new RegExp(`^\\p{Script=${name}}`, 'u')]];
+  } catch {
+    return [];
+  }
+});
+
+const scriptCache = new Map();
+
+/**
+ * Returns the Script of a grapheme cluster, taken from its first code point with the
+ * runtime's \p{Script=...}, so that combining marks share the script of their base.
+ * @param {string} grapheme - A single grapheme cluster
+ * @returns {string} The script's long name, such as 'Latin', 'Cyrillic' or 'Common',
+ *   or 'Unknown' for unassigned code points
+ */
+const scriptOf = (grapheme) => {
+  const cp = grapheme.codePointAt(0);
+  if (!scriptCache.has(cp)) {
+    const char = String.fromCodePoint(cp);
+    const match = scriptMatchers.find(([, regex]) => regex.test(char));
+    scriptCache.set(cp, match === undefined ? 'Unknown' : match[0]);
+  }
+  return scriptCache.get(cp);
+};
+
+/**
+ * Checks whether a script is shared by many scripts rather than being a script of
+ * its own, as for digits, punctuation, symbols and combining marks.
+ * @param {string} script - A script's long name
+ * @returns {boolean} true for Common and Inherited
+ */
+const isNeutralScript = (script) => NEUTRAL_SCRIPTS.has(script);
+
+/**
+ * Checks whether a set of scripts mixes writing systems, i.e. whether the
+ * intersection of their augmented script sets is empty. Neutral scripts are ignored,
+ * and Han, Hiragana and Katakana together are Japanese rather than mixed.
+ * @param {Iterable<string>} scripts - Script long names
+ * @returns {boolean} true if no single writing system covers every script
+ */
+const isMixedScript = (scripts) => {
+  let resolved;
+  for (const script of scripts) {
+    if (isNeutralScript(script)) continue;
+    const augmented = [script, ...(WRITING_SYSTEMS[script] ?? [])];
+    resolved = resolved === undefined ? augmented : resolved.filter(s => augmented.includes(s));
+  }
+  return resolved !== undefined && resolved.length === 0;
+};
+
+export { scriptOf, isNeutralScript, isMixedScript };
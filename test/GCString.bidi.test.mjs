@@ -0,0 +1,125 @@
+/**
+ * @fileoverview Jest tests for GCString.direction(), isolate() and bidiControls(), which
+ * detect the base direction of a string, isolate it for embedding, and report unbalanced
+ * or suspicious explicit bidirectional controls.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString bidirectional text', () => {
+  const [LRE, RLE, PDF, LRO, RLO] = ['\u202A', '\u202B', '\u202C', '\u202D', '\u202E'];
+  const [LRI, RLI, FSI, PDI] = ['\u2066', '\u2067', '\u2068', '\u2069'];
+
+  describe('direction()', () => {
+    test('should use the first strong character by default', () => {
+      expect(new GCString('שלום world').direction()).toBe('rtl');
+      expect(new GCString('hello עולם').direction()).toBe('ltr');
+      expect(new GCString('123, مرحبا').direction('first-strong')).toBe('rtl');
+    });
+
+    test('should skip isolated text when finding the first strong character', () => {
+      expect(new GCString(`${LRI}abc${PDI} שלום`).direction()).toBe('rtl');
+      expect(new GCString(`${FSI}שלום${PDI} abc`).direction()).toBe('ltr');
+    });
+
+    test('should count strong characters with the dominant method', () => {
+      expect(new GCString('a שלום עולם').direction('dominant')).toBe('rtl');
+      expect(new GCString('a שלום עולם').direction()).toBe('ltr');
+      expect(new GCString('ab אב').direction('dominant')).toBe('ltr');
+    });
+
+    test('should return neutral without strong characters', () => {
+      expect(new GCString('123 \u{1F44B}!').direction()).toBe('neutral');
+      expect(new GCString('').direction('dominant')).toBe('neutral');
+    });
+
+    test('should treat directional marks as strong', () => {
+      expect(new GCString('\u200F123').direction()).toBe('rtl');
+    });
+
+    test('should throw RangeError for an invalid method', () => {
+      expect(() => new GCString('abc').direction('majority')).toThrow(RangeError);
+    });
+  });
+
+  describe('isolate()', () => {
+    test('should wrap the string in FSI and PDI', () => {
+      const isolated = new GCString('אבי').isolate();
+      expect(isolated).toBeInstanceOf(GCString);
+      expect(isolated.value).toBe(`${FSI}אבי${PDI}`);
+      expect(isolated.length).toBe(5);
+      expect(isolated.bidiControls().isBalanced).toBe(true);
+    });
+
+    test('should isolate the empty string', () => {
+      expect(new GCString('').isolate().value).toBe(`${FSI}${PDI}`);
+    });
+  });
+
+  describe('bidiControls()', () => {
+    test('should report no controls for plain text', () => {
+      expect(new GCString('abc אבג').bidiControls())
+        .toEqual({ isBalanced: true, isSuspicious: false, controls: [] });
+    });
+
+    test('should accept balanced embeddings and isolates', () => {
+      const report = new GCString(`a${RLE}b${PDF} ${RLI}c${PDI}`).bidiControls();
+      expect(report.isBalanced).toBe(true);
+      expect(report.isSuspicious).toBe(false);
+      expect(report.controls).toEqual([
+        { type: 'RLE', index: 1, codeUnitIndex: 1, issue: null },
+        { type: 'PDF', index: 3, codeUnitIndex: 3, issue: null },
+        { type: 'RLI', index: 5, codeUnitIndex: 5, issue: null },
+        { type: 'PDI', index: 7, codeUnitIndex: 7, issue: null }
+      ]);
+    });
+
+    test('should flag Trojan Source overrides even when balanced', () => {
+      const report = new GCString(`if (isAdmin) { ${RLO} } ${LRI}// check later${PDI}${PDF}`).bidiControls();
+      expect(report.isSuspicious).toBe(true);
+      expect(report.controls.map(c => [c.type, c.issue])).toEqual([
+        ['RLO', 'override'],
+        ['LRI', null],
+        ['PDI', null],
+        ['PDF', null]
+      ]);
+      expect(report.isBalanced).toBe(true);
+    });
+
+    test('should flag controls left open at the end of the paragraph', () => {
+      const report = new GCString(`user${RLO}gpj.exe\nnext ${LRE}line`).bidiControls();
+      expect(report.isBalanced).toBe(false);
+      expect(report.controls).toEqual([
+        { type: 'RLO', index: 4, codeUnitIndex: 4, issue: 'unterminated' },
+        { type: 'LRE', index: 18, codeUnitIndex: 18, issue: 'unterminated' }
+      ]);
+    });
+
+    test('should flag terminators that close nothing', () => {
+      const report = new GCString(`a${PDF}b${PDI}`).bidiControls();
+      expect(report.controls.map(c => c.issue)).toEqual(['unmatched', 'unmatched']);
+      expect(report.isBalanced).toBe(false);
+    });
+
+    test('should not let PDF close an embedding outside an isolate', () => {
+      const report = new GCString(`${LRO}a${FSI}b${PDF}${PDI}${PDF}`).bidiControls();
+      expect(report.controls.map(c => [c.type, c.issue])).toEqual([
+        ['LRO', 'override'],
+        ['FSI', null],
+        ['PDF', 'unmatched'],
+        ['PDI', null],
+        ['PDF', null]
+      ]);
+    });
+
+    test('should treat embeddings closed by a PDI as unterminated', () => {
+      const report = new GCString(`${RLI}${RLE}x${PDI}`).bidiControls();
+      expect(report.controls.map(c => c.issue)).toEqual([null, 'unterminated', null]);
+    });
+
+    test('should report grapheme indices after emoji', () => {
+      const report = new GCString(`\u{1F44B}\u{1F3FD}${LRO}`).bidiControls();
+      expect(report.controls[0]).toMatchObject({ index: 1, codeUnitIndex: 4 });
+    });
+  });
+});
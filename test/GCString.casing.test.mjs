@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Jest tests for GCString.capitalize(), titleCase() and sentenceCase(),
+ * which titlecase the first grapheme of words or sentences with locale-aware rules.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString word and sentence casing', () => {
+  describe('capitalize()', () => {
+    test('should titlecase the first grapheme and keep the rest', () => {
+      const result = new GCString('hello WORLD').capitalize();
+      expect(result).toBeInstanceOf(GCString);
+      expect(result.value).toBe('Hello WORLD');
+    });
+
+    test('should use titlecase rather than uppercase for digraphs', () => {
+      expect(new GCString('ǳemal').capitalize().value).toBe('ǲemal');
+      expect(new GCString('ǆak').capitalize().value).toBe('ǅak');
+      expect(new GCString('ﬁne').capitalize().value).toBe('Fine');
+    });
+
+    test('should capitalize the Dutch ij digraph as a whole', () => {
+      expect(new GCString('ijssel').capitalize('nl').value).toBe('IJssel');
+      expect(new GCString('ijssel').capitalize('nl-BE').value).toBe('IJssel');
+      expect(new GCString('ijssel').capitalize('en').value).toBe('Ijssel');
+    });
+
+    test('should honour the locale', () => {
+      expect(new GCString('istanbul').capitalize('tr').value).toBe('İstanbul');
+      expect(new GCString('istanbul').capitalize('en').value).toBe('Istanbul');
+    });
+
+    test('should skip leading spaces and punctuation', () => {
+      expect(new GCString('  «bonjour»').capitalize('fr').value)
+        .toBe('  «Bonjour»');
+    });
+
+    test('should leave a word starting with an emoji alone', () => {
+      expect(new GCString('\u{1F44B}hello world').capitalize().value).toBe('\u{1F44B}hello world');
+    });
+
+    test('should not split a combining sequence', () => {
+      const result = new GCString('e\u0301cole').capitalize();
+      expect(result.value).toBe('E\u0301cole');
+      expect(result.length).toBe(5);
+    });
+
+    test('should handle the empty string', () => {
+      expect(new GCString('').capitalize().value).toBe('');
+    });
+  });
+
+  describe('titleCase()', () => {
+    test('should capitalize every word and lowercase the rest', () => {
+      expect(new GCString('the QUICK brown-fox').titleCase().value).toBe('The Quick Brown-Fox');
+    });
+
+    test('should apply locale rules to every word', () => {
+      expect(new GCString('ijssel en ijmuiden').titleCase('nl').value)
+        .toBe('IJssel En IJmuiden');
+      expect(new GCString('izmir istanbul').titleCase('tr').value).toBe('İzmir İstanbul');
+    });
+
+    test('should lowercase but not capitalize emoji-leading words', () => {
+      expect(new GCString('\u{1F389}PARTY TIME').titleCase().value).toBe('\u{1F389}party Time');
+    });
+
+    test('should keep grapheme clusters intact', () => {
+      const str = new GCString('\u{1F468}\u200D\u{1F469}\u200D\u{1F467} family e\u0301te\u0301');
+      expect(str.titleCase().value).toBe('\u{1F468}\u200D\u{1F469}\u200D\u{1F467} Family E\u0301te\u0301');
+    });
+  });
+
+  describe('sentenceCase()', () => {
+    test('should capitalize the first word of each sentence', () => {
+      expect(new GCString('HELLO THERE. HOW ARE YOU? fine!').sentenceCase().value)
+        .toBe('Hello there. How are you? Fine!');
+    });
+
+    test('should find the first word after opening punctuation', () => {
+      expect(new GCString('"QUOTED START." next one.').sentenceCase().value)
+        .toBe('"Quoted start." Next one.');
+    });
+
+    test('should apply locale rules', () => {
+      expect(new GCString('ijs is koud. ijsbeer ook.').sentenceCase('nl').value)
+        .toBe('IJs is koud. IJsbeer ook.');
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview Jest tests for GCString.inspect() and classify(), which describe each
+ * grapheme cluster: code points, general category, base and marks, and emoji kind.
+ */
+
+import GCString from '../src/lib/gcu.js';
+import { bundledRgiEmojiMatcher } from '../src/lib/emoji.js';
+import { RGI_EMOJI_SEQUENCES } from '../src/lib/data/rgi_emoji.js';
+
+describe('GCString grapheme classification', () => {
+  const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+  const wave = '\u{1F44B}\u{1F3FD}';
+  const keycap = '1\uFE0F\u20E3';
+  const japan = '\u{1F1EF}\u{1F1F5}';
+  const scotland = '\u{1F3F4}\u{E0067}\u{E0062}\u{E0073}\u{E0063}\u{E0074}\u{E007F}';
+
+  describe('inspect()', () => {
+    test('should describe a letter with combining marks', () => {
+      expect(new GCString('Ae\u0301\u0323').inspect(1)).toEqual({
+        index: 1,
+        codeUnitIndex: 1,
+        grapheme: 'e\u0301\u0323',
+        codePoints: [0x65, 0x301, 0x323],
+        generalCategory: 'Ll',
+        base: 'e',
+        marks: ['\u0301', '\u0323'],
+        isRgiEmoji: false,
+        isFlag: false,
+        isKeycap: false,
+        hasSkinTone: false,
+        isZwjSequence: false
+      });
+    });
+
+    test('should recognize skin tone modified emoji', () => {
+      const info = new GCString(`Hi ${wave}`).inspect(3);
+      expect(info).toMatchObject({ isRgiEmoji: true, hasSkinTone: true, isZwjSequence: false });
+      expect(info.codePoints).toEqual([0x1F44B, 0x1F3FD]);
+      expect(info.generalCategory).toBe('So');
+    });
+
+    test('should recognize ZWJ sequences', () => {
+      expect(new GCString(family).inspect(0))
+        .toMatchObject({ isRgiEmoji: true, isZwjSequence: true, hasSkinTone: false });
+      expect(new GCString('\u{1F3F3}\uFE0F\u200D\u{1F308}').inspect(0))
+        .toMatchObject({ isRgiEmoji: true, isZwjSequence: true, isFlag: false });
+    });
+
+    test('should recognize flags', () => {
+      expect(new GCString(japan).inspect(0)).toMatchObject({ isFlag: true, isRgiEmoji: true });
+      expect(new GCString(scotland).inspect(0)).toMatchObject({ isFlag: true, isRgiEmoji: true });
+      expect(new GCString('\u{1F1FF}\u{1F1FF}').inspect(0))
+        .toMatchObject({ isFlag: true, isRgiEmoji: false });
+    });
+
+    test('should recognize keycaps', () => {
+      const info = new GCString(keycap).inspect(0);
+      expect(info).toMatchObject({ isKeycap: true, isRgiEmoji: true, base: '1' });
+      expect(info.generalCategory).toBe('Nd');
+      expect(info.marks).toEqual(['\uFE0F', '\u20E3']);
+    });
+
+    test('should distinguish text and emoji presentation', () => {
+      expect(new GCString('☺').inspect(0).isRgiEmoji).toBe(false);
+      expect(new GCString('☺\uFE0F').inspect(0).isRgiEmoji).toBe(true);
+    });
+
+    test('should report general categories', () => {
+      const str = new GCString('a1 ,£\u0378\uD800');
+      expect(str.classify().map(info => info.generalCategory))
+        .toEqual(['Ll', 'Nd', 'Zs', 'Po', 'Sc', 'Cn', 'Cs']);
+    });
+
+    test('should support negative indices and return undefined out of bounds', () => {
+      const str = new GCString(`a${family}`);
+      expect(str.inspect(-1)).toMatchObject({ index: 1, codeUnitIndex: 1, grapheme: family });
+      expect(str.inspect(2)).toBeUndefined();
+      expect(str.inspect(-3)).toBeUndefined();
+    });
+
+    test('should report indices relative to a slice', () => {
+      const view = new GCString(`${family} x ${wave}`).slice(2);
+      expect(view.inspect(2)).toMatchObject({ index: 2, codeUnitIndex: 2, grapheme: wave });
+    });
+  });
+
+  describe('classify()', () => {
+    test('should describe every grapheme with offsets', () => {
+      const info = new GCString(`${keycap}${japan}${family}`).classify();
+      expect(info.map(i => i.grapheme)).toEqual([keycap, japan, family]);
+      expect(info.map(i => i.index)).toEqual([0, 1, 2]);
+      expect(info.map(i => i.codeUnitIndex)).toEqual([0, 3, 7]);
+      expect(info.map(i => [i.isKeycap, i.isFlag, i.isZwjSequence]))
+        .toEqual([[true, false, false], [false, true, false], [false, false, true]]);
+    });
+
+    test('should return an empty array for the empty string', () => {
+      expect(new GCString('').classify()).toEqual([]);
+    });
+  });
+
+  describe('bundled RGI emoji data', () => {
+    const sequences = RGI_EMOJI_SEQUENCES.map(sequence =>
+      String.fromCodePoint(...sequence.split(' ').map(hex => parseInt(hex, 16))));
+    const nonRgi = ['a', '1\u20E3', '\u263A', `\u{1F3F3}\u200D\u{1F308}`,
+      '\u{1F1FD}\u{1F1FD}', `${family}\u200D`, `${wave}\u{1F3FD}`];
+    const matcher = bundledRgiEmojiMatcher();
+
+    test('should match every bundled sequence and nothing else', () => {
+      expect(sequences.length).toBeGreaterThan(3700);
+      expect(sequences.every(sequence => matcher.test(sequence))).toBe(true);
+      expect(nonRgi.filter(grapheme => matcher.test(grapheme))).toEqual([]);
+    });
+
+    const hasVFlag = (() => {
+      try {
+        return new RegExp('^\\p{RGI_Emoji}$', 'v').test('\u{1F600}');
+      } catch {
+        return false;
+      }
+    })();
+    (hasVFlag ? test : test.skip)('should agree with the engine\'s \\p{RGI_Emoji}', () => {
+      const rgiEmoji = new RegExp('^\\p{RGI_Emoji}$', 'v');
+      const disagreements = [...sequences, ...nonRgi]
+        .filter(grapheme => matcher.test(grapheme) !== rgiEmoji.test(grapheme));
+      expect(disagreements).toEqual([]);
+    });
+  });
+});
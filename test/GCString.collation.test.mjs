@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Jest tests for the locale and sensitivity options of the search methods,
+ * which compare graphemes by collation and report indices into the original string.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString collation-aware search', () => {
+  const resume = new GCString('My Résumé \u{1F4C4}');
+
+  test('should compare strictly without collation options', () => {
+    expect(resume.indexOf('resume')).toBe(-1);
+    expect(resume.includes('Résumé')).toBe(true);
+  });
+
+  test('should ignore accents and case with base sensitivity', () => {
+    expect(resume.indexOf('resume', 0, { sensitivity: 'base' })).toBe(3);
+    expect(resume.includes('RESUME', 0, { sensitivity: 'base' })).toBe(true);
+    expect(resume.lastIndexOf('e', undefined, { sensitivity: 'base' })).toBe(8);
+  });
+
+  test('should honour the other sensitivities', () => {
+    expect(resume.indexOf('résumé', 0, { sensitivity: 'accent' })).toBe(3);
+    expect(resume.indexOf('resume', 0, { sensitivity: 'accent' })).toBe(-1);
+    expect(resume.indexOf('Resume', 0, { sensitivity: 'case' })).toBe(3);
+    expect(resume.indexOf('resume', 0, { sensitivity: 'case' })).toBe(-1);
+    expect(resume.indexOf('Resume', 0, { sensitivity: 'variant' })).toBe(-1);
+  });
+
+  test('should report grapheme indices after multi-unit clusters', () => {
+    const str = new GCString('\u{1F468}\u200D\u{1F469}\u200D\u{1F467} Café');
+    expect(str.indexOf('CAFÉ', 0, { sensitivity: 'base' })).toBe(2);
+    expect(str.indexOf('cafe', 0, { sensitivity: 'base' })).toBe(2);
+  });
+
+  test('should match dotted capital I as i outside Turkish', () => {
+    const city = new GCString('İstanbul');
+    expect(city.indexOf('ISTANBUL', 0, { locale: 'en', sensitivity: 'base' })).toBe(0);
+    expect(city.includes('istanbul', 0, { locale: 'en', sensitivity: 'base' })).toBe(true);
+  });
+
+  test('should find ISTANBUL in İstanbul in Turkish', () => {
+    const options = { locale: 'tr', sensitivity: 'base' };
+    expect(new GCString('İstanbul').indexOf('ISTANBUL', 0, options)).toBe(0);
+    expect(new GCString('İstanbul').includes('ISTANBUL', 0, options)).toBe(true);
+    expect(new GCString('İstanbul').indexOf('istanbul', 0, options)).toBe(0);
+    expect(new GCString('istanbul').indexOf('İSTANBUL', 0, options)).toBe(0);
+    expect(new GCString('I\u0307stanbul').indexOf('ISTANBUL', 0, options)).toBe(0);
+  });
+
+  test('should keep capital I apart from i and ı in Turkish', () => {
+    for (const sensitivity of ['base', 'accent']) {
+      const options = { locale: 'tr', sensitivity };
+      expect(new GCString('istanbul').indexOf('ISTANBUL', 0, options)).toBe(-1);
+      expect(new GCString('ISTANBUL').indexOf('istanbul', 0, options)).toBe(-1);
+      expect(new GCString('ıstanbul').indexOf('ISTANBUL', 0, options)).toBe(-1);
+      expect(new GCString('Istanbul').indexOf('ıstanbul', 0, options)).toBe(-1);
+      expect(new GCString('ISTANBUL').indexOf('İstanbul', 0, options)).toBe(0);
+    }
+  });
+
+  test('should keep dotless ı apart from i in Turkish', () => {
+    const options = { locale: 'tr', sensitivity: 'base' };
+    expect(new GCString('ıstanbul').indexOf('istanbul', 0, options)).toBe(-1);
+    expect(new GCString('istanbul').indexOf('ıstanbul', 0, options)).toBe(-1);
+  });
+
+  test('should combine with normalization and position', () => {
+    const str = new GCString('e\u0301 \u00E9');
+    const options = { normalization: 'NFC', sensitivity: 'accent' };
+    expect(str.indexOf('É', 1, options)).toBe(2);
+    expect(str.lastIndexOf('É', 1, options)).toBe(0);
+  });
+
+  test('should apply to startsWith and endsWith', () => {
+    expect(resume.startsWith('my', 0, { sensitivity: 'base' })).toBe(true);
+    expect(resume.endsWith('SUME', 9, { sensitivity: 'base' })).toBe(true);
+  });
+
+  test('should throw RangeError for an unknown sensitivity', () => {
+    expect(() => resume.indexOf('r', 0, { sensitivity: 'loose' })).toThrow(RangeError);
+  });
+});
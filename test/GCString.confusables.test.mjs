@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Jest tests for GCString.skeleton(), isConfusableWith() and
+ * mixedScriptReport(), which detect look-alike impersonation with the UTS #39
+ * confusables data and per-grapheme script detection.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString confusable detection', () => {
+  const cyrillicA = '\u0430';
+  const spoof = `p${cyrillicA}ypal`;
+
+  describe('skeleton()', () => {
+    test('should map look-alikes to the same skeleton', () => {
+      expect(new GCString(spoof).skeleton()).toBe('paypal');
+      expect(new GCString('m').skeleton()).toBe(new GCString('rn').skeleton());
+      expect(new GCString('0').skeleton()).toBe(new GCString('O').skeleton());
+    });
+
+    test('should be insensitive to normalization', () => {
+      expect(new GCString('Cafe\u0301').skeleton()).toBe(new GCString('Caf\u00E9').skeleton());
+    });
+
+    test('should return a string', () => {
+      expect(typeof new GCString('abc').skeleton()).toBe('string');
+      expect(new GCString('').skeleton()).toBe('');
+    });
+  });
+
+  describe('isConfusableWith()', () => {
+    test('should catch homoglyph impersonation', () => {
+      expect(new GCString(spoof).isConfusableWith('paypal')).toBe(true);
+      expect(new GCString('\u0440\u0430\u0443\u0440\u0430l').isConfusableWith('paypal')).toBe(true);
+      expect(new GCString('g00gle').isConfusableWith(new GCString('gOOgle'))).toBe(true);
+    });
+
+    test('should not confuse different names', () => {
+      expect(new GCString('paypal').isConfusableWith('paypa1x')).toBe(false);
+      expect(new GCString('paypal').isConfusableWith('PAYPAL')).toBe(false);
+    });
+
+    test('should treat identical strings as confusable', () => {
+      expect(new GCString('alice').isConfusableWith('alice')).toBe(true);
+    });
+  });
+
+  describe('mixedScriptReport()', () => {
+    test('should report the scripts and their grapheme indices', () => {
+      expect(new GCString(spoof).mixedScriptReport()).toEqual({
+        isMixed: true,
+        scripts: { Latin: [0, 2, 3, 4, 5], Cyrillic: [1] }
+      });
+    });
+
+    test('should not count digits, punctuation, emoji or marks as a script', () => {
+      const report = new GCString('bob_42 \u{1F44B} e\u0301').mixedScriptReport();
+      expect(report.isMixed).toBe(false);
+      expect(report.scripts).toEqual({ Latin: [0, 1, 2, 9], Common: [3, 4, 5, 6, 7, 8] });
+    });
+
+    test('should treat Han with Kana or Hangul as one writing system', () => {
+      expect(new GCString('東京タワーへ').mixedScriptReport().isMixed).toBe(false);
+      expect(new GCString('韓國語 한국어').mixedScriptReport().isMixed).toBe(false);
+      expect(new GCString('ひらがな한글').mixedScriptReport().isMixed).toBe(true);
+      expect(new GCString('Tokyo東京').mixedScriptReport().isMixed).toBe(true);
+    });
+
+    test('should report graphemes, not code points', () => {
+      const report = new GCString('\u{1F468}\u200D\u{1F469}\u200D\u{1F467}\u0391').mixedScriptReport();
+      expect(report.scripts).toEqual({ Common: [0], Greek: [1] });
+    });
+
+    test('should handle the empty string', () => {
+      expect(new GCString('').mixedScriptReport()).toEqual({ isMixed: false, scripts: {} });
+    });
+  });
+});
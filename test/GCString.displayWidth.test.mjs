@@ -0,0 +1,69 @@
+/**
+ * @fileoverview Jest tests for GCString display width: the number of terminal
+ * columns a string occupies, which differs from its grapheme count.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString display width', () => {
+  describe('widthAt()', () => {
+    test('should count ASCII and narrow characters as 1', () => {
+      const gc = new GCString('a1 ｱ');
+      expect([0, 1, 2, 3].map(i => gc.widthAt(i))).toEqual([1, 1, 1, 1]);
+    });
+
+    test('should count CJK ideographs, Hangul and fullwidth forms as 2', () => {
+      const gc = new GCString('日本각Ａ');
+      expect([0, 1, 2, 3].map(i => gc.widthAt(i))).toEqual([2, 2, 2, 2]);
+    });
+
+    test('should count emoji presentation sequences as 2', () => {
+      const gc = new GCString('😀👨‍👩‍👧‍👦👍🏽🇺🇸1️⃣☀️');
+      expect([0, 1, 2, 3, 4, 5].map(i => gc.widthAt(i))).toEqual([2, 2, 2, 2, 2, 2]);
+    });
+
+    test('should count text presentation emoji as 1', () => {
+      const gc = new GCString('☀☀\uFE0E©');
+      expect([0, 1, 2].map(i => gc.widthAt(i))).toEqual([1, 1, 1]);
+    });
+
+    test('should count combining marks, controls and zero-width characters as 0', () => {
+      const gc = new GCString('\u0301\t\u200B\r\n');
+      expect([0, 1, 2, 3].map(i => gc.widthAt(i))).toEqual([0, 0, 0, 0]);
+    });
+
+    test('should measure a base with combining marks by its base', () => {
+      expect(new GCString('e\u0301').widthAt(0)).toBe(1);
+    });
+
+    test('should apply the ambiguousWidth option', () => {
+      const gc = new GCString('±');
+      expect(gc.widthAt(0)).toBe(1);
+      expect(gc.widthAt(0, { ambiguousWidth: 2 })).toBe(2);
+    });
+
+    test('should return 0 for out of bounds indices', () => {
+      expect(new GCString('a').widthAt(5)).toBe(0);
+    });
+  });
+
+  describe('displayWidth and getDisplayWidth()', () => {
+    test('should sum the widths of all graphemes', () => {
+      expect(new GCString('日本 ok').displayWidth).toBe(7);
+      expect(new GCString('👨‍👩‍👧‍👦 Hi').displayWidth).toBe(5);
+      expect(new GCString('').displayWidth).toBe(0);
+    });
+
+    test('should differ from length for wide text', () => {
+      const gc = new GCString('日本');
+      expect(gc.length).toBe(2);
+      expect(gc.displayWidth).toBe(4);
+    });
+
+    test('should honour ambiguousWidth', () => {
+      const gc = new GCString('±1°');
+      expect(gc.getDisplayWidth()).toBe(3);
+      expect(gc.getDisplayWidth({ ambiguousWidth: 2 })).toBe(5);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Jest tests for the skin tone and emoji presentation utilities, which
+ * rewrite emoji cluster by cluster and keep the results fully qualified.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString emoji utilities', () => {
+  const VS16 = '\uFE0F';
+  const ZWJ = '\u200D';
+  const thumbs = '\u{1F44D}';
+  const wave = '\u{1F44B}';
+  const pointUp = '☝';
+  const [light, mediumLight, medium, mediumDark, dark] =
+    ['\u{1F3FB}', '\u{1F3FC}', '\u{1F3FD}', '\u{1F3FE}', '\u{1F3FF}'];
+  const holdingHands = `\u{1F9D1}${ZWJ}\u{1F91D}${ZWJ}\u{1F9D1}`;
+
+  describe('stripSkinTones()', () => {
+    test('should let toned and untoned reactions aggregate together', () => {
+      const reactions = new GCString(`${thumbs}${medium}${thumbs}${thumbs}${dark}`);
+      const stripped = reactions.stripSkinTones();
+      expect(stripped).toBeInstanceOf(GCString);
+      expect(stripped.value).toBe(thumbs.repeat(3));
+      expect(new Set(stripped.graphemes).size).toBe(1);
+    });
+
+    test('should strip every tone in multi-person sequences', () => {
+      const toned = `\u{1F9D1}${light}${ZWJ}\u{1F91D}${ZWJ}\u{1F9D1}${dark}`;
+      expect(new GCString(toned).stripSkinTones().value).toBe(holdingHands);
+      expect(new GCString(`\u{1F46E}${medium}${ZWJ}♀${VS16}`).stripSkinTones().value)
+        .toBe(`\u{1F46E}${ZWJ}♀${VS16}`);
+    });
+
+    test('should restore the presentation selector a modifier replaced', () => {
+      expect(new GCString(`${pointUp}${mediumDark}`).stripSkinTones().value)
+        .toBe(`${pointUp}${VS16}`);
+    });
+
+    test('should leave standalone modifiers and other text alone', () => {
+      expect(new GCString(`a ${medium} b`).stripSkinTones().value).toBe(`a ${medium} b`);
+    });
+  });
+
+  describe('applySkinTone()', () => {
+    test('should tone every emoji that supports it', () => {
+      const str = new GCString(`${thumbs}${wave}${light} ❤${VS16}`);
+      expect(str.applySkinTone('medium').value)
+        .toBe(`${thumbs}${medium}${wave}${medium} ❤${VS16}`);
+    });
+
+    test('should accept modifier characters as well as names', () => {
+      expect(new GCString(thumbs).applySkinTone(mediumLight).value)
+        .toBe(`${thumbs}${mediumLight}`);
+    });
+
+    test('should replace the presentation selector of text-default bases', () => {
+      expect(new GCString(`${pointUp}${VS16}`).applySkinTone('dark').value)
+        .toBe(`${pointUp}${dark}`);
+    });
+
+    test('should only produce RGI sequences', () => {
+      expect(new GCString(holdingHands).applySkinTone('medium').value)
+        .toBe(`\u{1F9D1}${medium}${ZWJ}\u{1F91D}${ZWJ}\u{1F9D1}${medium}`);
+      expect(new GCString(`\u{1F468}${ZWJ}\u{1F4BB}`).applySkinTone('light').value)
+        .toBe(`\u{1F468}${light}${ZWJ}\u{1F4BB}`);
+
+      const family = `\u{1F468}${ZWJ}\u{1F469}${ZWJ}\u{1F467}`;
+      expect(new GCString(family).applySkinTone('light').value).toBe(family);
+    });
+
+    test('should throw RangeError for an unknown tone', () => {
+      expect(() => new GCString(thumbs).applySkinTone('purple')).toThrow(RangeError);
+      expect(() => new GCString(thumbs).applySkinTone('x')).toThrow(RangeError);
+    });
+  });
+
+  describe('replaceSkinTones()', () => {
+    test('should only change emoji that already carry a tone', () => {
+      const str = new GCString(`${thumbs}${light}${wave}`);
+      expect(str.replaceSkinTones('dark').value).toBe(`${thumbs}${dark}${wave}`);
+    });
+  });
+
+  describe('emoji presentation', () => {
+    test('should add U+FE0F where it makes an RGI emoji', () => {
+      const str = new GCString(`I ❤ NY 1\u20E3 \u{1F3F3}${ZWJ}\u{1F308}`);
+      expect(str.addEmojiPresentation().value)
+        .toBe(`I ❤${VS16} NY 1${VS16}\u20E3 \u{1F3F3}${VS16}${ZWJ}\u{1F308}`);
+    });
+
+    test('should not add U+FE0F to plain digits or emoji-default characters', () => {
+      const str = new GCString(`42 # ${thumbs}`);
+      expect(str.addEmojiPresentation().value).toBe(str.value);
+      expect(new GCString('©').addEmojiPresentation().value).toBe(`©${VS16}`);
+    });
+
+    test('should remove U+FE0F from text-default emoji', () => {
+      const str = new GCString(`❤${VS16} ${pointUp}${VS16} \u{1F600}${VS16}`);
+      const result = str.removeEmojiPresentation();
+      expect(result.value).toBe(`❤ ${pointUp} \u{1F600}`);
+      expect(result.length).toBe(str.length);
+    });
+
+    test('should keep U+FE0F in keycaps and ZWJ sequences that need it', () => {
+      const keycap = `1${VS16}\u20E3`;
+      const rainbowFlag = `\u{1F3F3}${VS16}${ZWJ}\u{1F308}`;
+      const eye = `\u{1F441}${VS16}${ZWJ}\u{1F5E8}${VS16}`;
+      const str = new GCString(`${keycap} ${rainbowFlag} ${eye}`);
+      expect(str.removeEmojiPresentation().value).toBe(str.value);
+    });
+
+    test('should round-trip text-default emoji', () => {
+      const str = new GCString(`❤${VS16}☀${VS16}`);
+      expect(str.removeEmojiPresentation().addEmojiPresentation().value).toBe(str.value);
+    });
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview Jest tests for GCString.foldCase(), which applies full Unicode case
+ * folding and maps grapheme indices between the folded and original strings.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString.foldCase()', () => {
+  test('should fold to a GCString', () => {
+    const { folded } = new GCString('Hello WORLD 👋').foldCase();
+    expect(folded).toBeInstanceOf(GCString);
+    expect(folded.value).toBe('hello world 👋');
+  });
+
+  test('should apply full foldings that change length', () => {
+    expect(new GCString('Straße').foldCase().folded.value).toBe('strasse');
+    expect(new GCString('STRAẞE').foldCase().folded.value).toBe('strasse');
+    expect(new GCString('ŉ').foldCase().folded.value).toBe('ʼn');
+    expect(new GCString('ﬃ').foldCase().folded.value).toBe('ffi');
+  });
+
+  test('should fold case variants that toLowerCase keeps apart', () => {
+    expect(new GCString('ΣΑΣ').foldCase().folded.value)
+      .toBe(new GCString('σας').foldCase().folded.value);
+    expect(new GCString('µ').foldCase().folded.value).toBe('μ');
+    expect(new GCString('Ꭰꭰ').foldCase().folded.value).toBe('ᎠᎠ');
+  });
+
+  test('should map original graphemes to folded graphemes', () => {
+    const { toFolded, toOriginal } = new GCString('Straße!').foldCase();
+    expect(toFolded).toEqual([0, 1, 2, 3, 4, 6, 7, 8]);
+    expect(toOriginal).toEqual([0, 1, 2, 3, 4, 4, 5, 6, 7]);
+  });
+
+  test('should let a match in the folded text be highlighted in the original', () => {
+    const original = new GCString('👨\u200D👩\u200D👧 GROẞE Straße');
+    const { folded, toOriginal } = original.foldCase();
+    const start = folded.indexOf('strasse');
+    const end = start + 7;
+    expect(original.slice(toOriginal[start], toOriginal[end - 1] + 1).value).toBe('Straße');
+
+    const partial = folded.indexOf('sse');
+    expect(original.slice(toOriginal[partial], toOriginal[partial + 2] + 1).value).toBe('ẞE');
+  });
+
+  test('should keep combining sequences together', () => {
+    const { folded, toOriginal } = new GCString('\u0130X').foldCase();
+    expect(folded.value).toBe('i\u0307x');
+    expect(folded.length).toBe(2);
+    expect(toOriginal).toEqual([0, 1, 2]);
+  });
+
+  test('should handle the empty string', () => {
+    const { folded, toFolded, toOriginal } = new GCString('').foldCase();
+    expect(folded.value).toBe('');
+    expect(toFolded).toEqual([0]);
+    expect(toOriginal).toEqual([0]);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Jest tests for GCString.findInvisibles() and stripInvisibles(), which
+ * find and remove zero-width and other default ignorable characters while keeping
+ * ZWJ emoji sequences and subdivision flags intact.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString invisible characters', () => {
+  const ZWJ = '\u200D';
+  const family = `\u{1F468}${ZWJ}\u{1F469}${ZWJ}\u{1F467}`;
+  const tags = (letters) => [...letters].map(c => String.fromCodePoint(0xE0000 + c.charCodeAt(0))).join('');
+  const england = `\u{1F3F4}${tags('gbeng')}\u{E007F}`;
+
+  describe('findInvisibles()', () => {
+    test('should report each invisible with its grapheme index and name', () => {
+      const str = new GCString('a\u200Bb\u2060c\u00ADd\uFEFF');
+      expect(str.findInvisibles()).toEqual([
+        { index: 1, codeUnitIndex: 1, codePoint: 0x200B, name: 'ZERO WIDTH SPACE' },
+        { index: 3, codeUnitIndex: 3, codePoint: 0x2060, name: 'WORD JOINER' },
+        { index: 5, codeUnitIndex: 5, codePoint: 0x00AD, name: 'SOFT HYPHEN' },
+        { index: 7, codeUnitIndex: 7, codePoint: 0xFEFF, name: 'ZERO WIDTH NO-BREAK SPACE' }
+      ]);
+    });
+
+    test('should report invisibles inside a grapheme cluster', () => {
+      const str = new GCString(`x\u{1F44D}\u200C`);
+      expect(str.findInvisibles())
+        .toEqual([{ index: 1, codeUnitIndex: 3, codePoint: 0x200C, name: 'ZERO WIDTH NON-JOINER' }]);
+    });
+
+    test('should report tag characters used to hide text', () => {
+      const str = new GCString(`hi${tags('run')}`);
+      expect(str.findInvisibles().map(i => i.name)).toEqual([
+        'TAG LATIN SMALL LETTER R', 'TAG LATIN SMALL LETTER U', 'TAG LATIN SMALL LETTER N'
+      ]);
+    });
+
+    test('should not report ZWJ emoji sequences, subdivision flags or variation selectors', () => {
+      const str = new GCString(`${family} ${england} ❤\uFE0F`);
+      expect(str.findInvisibles()).toEqual([]);
+    });
+
+    test('should report tags hidden behind a black flag', () => {
+      const str = new GCString(`\u{1F3F4}${tags('secret')}\u{E007F}`);
+      expect(str.findInvisibles()).toHaveLength(7);
+    });
+
+    test('should report emoji ZWJs when keepZWJInEmoji is false', () => {
+      const found = new GCString(family).findInvisibles({ keepZWJInEmoji: false });
+      expect(found.map(i => [i.index, i.codeUnitIndex, i.name])).toEqual([
+        [0, 2, 'ZERO WIDTH JOINER'],
+        [0, 5, 'ZERO WIDTH JOINER']
+      ]);
+    });
+
+    test('should report a ZWJ that joins nothing', () => {
+      expect(new GCString(`\u{1F44D}${ZWJ}`).findInvisibles()).toHaveLength(1);
+      expect(new GCString(`a${ZWJ}b`).findInvisibles()).toHaveLength(1);
+    });
+
+    test('should label reserved default ignorable code points', () => {
+      expect(new GCString('a\u{E0080}').findInvisibles()[0].name).toBe('<reserved-E0080>');
+    });
+  });
+
+  describe('stripInvisibles()', () => {
+    test('should make visually identical strings equal', () => {
+      const pasted = new GCString('pay\u200Bpal\u2060 \u00ADaccount\uFEFF');
+      const result = pasted.stripInvisibles();
+      expect(result).toBeInstanceOf(GCString);
+      expect(result.value).toBe('paypal account');
+      expect(result.equals('paypal account')).toBe(true);
+    });
+
+    test('should keep the family emoji intact by default', () => {
+      const str = new GCString(`${family}\u200B!`);
+      const result = str.stripInvisibles();
+      expect(result.value).toBe(`${family}!`);
+      expect(result.length).toBe(2);
+    });
+
+    test('should split ZWJ sequences when keepZWJInEmoji is false', () => {
+      const result = new GCString(family).stripInvisibles({ keepZWJInEmoji: false });
+      expect(result.value).toBe('\u{1F468}\u{1F469}\u{1F467}');
+      expect(result.length).toBe(3);
+    });
+
+    test('should keep flags and emoji presentation', () => {
+      const str = new GCString(`${england}❤\uFE0F`);
+      expect(str.stripInvisibles().value).toBe(str.value);
+    });
+
+    test('should strip tag characters outside flags', () => {
+      expect(new GCString(`ok${tags('hidden')}`).stripInvisibles().value).toBe('ok');
+    });
+  });
+});
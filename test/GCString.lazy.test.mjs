@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Jest tests for lazy segmentation: GCString only runs
+ * Intl.Segmenter when a grapheme-dependent member is first used.
+ */
+
+import { jest } from '@jest/globals';
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString lazy segmentation', () => {
+  let segmentSpy;
+
+  beforeEach(() => {
+    segmentSpy = jest.spyOn(Intl.Segmenter.prototype, 'segment');
+  });
+
+  afterEach(() => {
+    segmentSpy.mockRestore();
+  });
+
+  test('should not segment when only value and codeUnitLength are used', () => {
+    const gc = new GCString('👨‍👩‍👧‍👦 Hello'.repeat(1000));
+    expect(gc.value.startsWith('👨‍👩‍👧‍👦')).toBe(true);
+    expect(gc.codeUnitLength).toBe(17000);
+    expect(gc.toString()).toBe(gc.value);
+    expect(segmentSpy).not.toHaveBeenCalled();
+  });
+
+  test('should segment once on first grapheme-dependent access', () => {
+    const gc = new GCString('👨‍👩‍👧‍👦 Hello');
+    expect(gc.length).toBe(7);
+    expect(gc.charAt(0)).toBe('👨‍👩‍👧‍👦');
+    expect(gc.at(-1)).toBe('o');
+    expect([...gc]).toHaveLength(7);
+    expect(gc.graphemeToCodeUnit(1)).toBe(11);
+    expect(segmentSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should materialize the same frozen graphemes array on demand', () => {
+    const gc = new GCString('a👍🏽b');
+    const graphemes = gc.graphemes;
+    expect(graphemes).toEqual(['a', '👍🏽', 'b']);
+    expect(Object.isFrozen(graphemes)).toBe(true);
+    expect(gc.graphemes).toBe(graphemes);
+  });
+
+  test('charAt and at should keep their out of range results', () => {
+    const gc = new GCString('Hi');
+    expect(gc.charAt(2)).toBe('');
+    expect(gc.charAt(1.5)).toBe('');
+    expect(gc.at(-3)).toBeUndefined();
+  });
+
+  test('charAt and at should accept numeric string indices', () => {
+    const gc = new GCString('abc');
+    expect(gc.charAt('1')).toBe('b');
+    expect(gc.at('1')).toBe('b');
+    expect(gc.charAt('01')).toBe('');
+    expect(gc.at('1.5')).toBeUndefined();
+    expect(gc.charAt(-0)).toBe('a');
+  });
+});
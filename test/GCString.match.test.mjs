@@ -0,0 +1,90 @@
+/**
+ * @fileoverview Jest tests for GCString.match(), matchAll() and search(),
+ * which report match positions in grapheme clusters rather than code units.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString match(), matchAll() and search()', () => {
+  const familyEmoji = '👨‍👩‍👧‍👦'; // 1 grapheme, 11 code units
+  const thumbsUpSkinTone = '👍🏽'; // 1 grapheme, 4 code units
+
+  describe('match()', () => {
+    test('should report the grapheme index alongside the code unit index', () => {
+      const gc = new GCString(`${familyEmoji} Hi`);
+      const result = gc.match(/Hi/);
+      expect(result[0]).toBe('Hi');
+      expect(result.index).toBe(2);
+      expect(result.codeUnitIndex).toBe(12);
+      expect(result.input).toBe(gc.value);
+    });
+
+    test('should report capture group positions in graphemes', () => {
+      const gc = new GCString(`${thumbsUpSkinTone}${familyEmoji}ab`);
+      const result = gc.match(/(?<first>a)(b)(c)?/);
+      expect([...result]).toEqual(['ab', 'a', 'b', undefined]);
+      expect(result.groups.first).toBe('a');
+      expect(result.indices.slice()).toEqual([[2, 4], [2, 3], [3, 4], undefined]);
+      expect(result.indices.groups.first).toEqual([2, 3]);
+      expect(result.codeUnitIndices.slice()).toEqual([[15, 17], [15, 16], [16, 17], undefined]);
+      expect(result.codeUnitIndices.groups.first).toEqual([15, 16]);
+    });
+
+    test('should widen matches that cut a cluster', () => {
+      const gc = new GCString(`a${thumbsUpSkinTone}`);
+      const result = gc.match(/\u{1F3FD}/u);
+      expect(result[0]).toBe(thumbsUpSkinTone);
+      expect(result.index).toBe(1);
+      expect(result.indices[0]).toEqual([1, 2]);
+    });
+
+    test('should reject matches that cut a cluster when asked', () => {
+      const gc = new GCString(`a${thumbsUpSkinTone}`);
+      expect(gc.match(/\u{1F3FD}/u, { boundary: 'reject' })).toBeNull();
+    });
+
+    test('should return all matched strings for a global RegExp', () => {
+      const gc = new GCString(`${familyEmoji}a${thumbsUpSkinTone}b`);
+      expect(gc.match(/./gu)).toEqual([familyEmoji, 'a', thumbsUpSkinTone, 'b']);
+    });
+
+    test('should return null when nothing matches', () => {
+      expect(new GCString('Hello').match(/z/)).toBeNull();
+      expect(new GCString('Hello').match(/z/g)).toBeNull();
+    });
+
+    test('should convert string patterns to RegExp', () => {
+      expect(new GCString(`${familyEmoji}a.b`).match('a.b').index).toBe(1);
+    });
+  });
+
+  describe('matchAll()', () => {
+    test('should iterate matches with grapheme indices', () => {
+      const gc = new GCString(`👋a${familyEmoji}b`);
+      const results = [...gc.matchAll(/[a-z]/g)];
+      expect(results.map(m => m[0])).toEqual(['a', 'b']);
+      expect(results.map(m => m.index)).toEqual([1, 3]);
+      expect(results.map(m => m.codeUnitIndex)).toEqual([2, 14]);
+    });
+
+    test('should throw for a non-global RegExp', () => {
+      expect(() => new GCString('abc').matchAll(/b/)).toThrow(TypeError);
+    });
+
+    test('should not modify the lastIndex of the RegExp', () => {
+      const regex = /a/g;
+      [...new GCString('aaa').matchAll(regex)];
+      expect(regex.lastIndex).toBe(0);
+    });
+  });
+
+  describe('search()', () => {
+    test('should return the grapheme index of the first match', () => {
+      expect(new GCString(`${familyEmoji} Hi`).search(/i/)).toBe(3);
+    });
+
+    test('should return -1 when nothing matches', () => {
+      expect(new GCString('Hello').search(/z/)).toBe(-1);
+    });
+  });
+});
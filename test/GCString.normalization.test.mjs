@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Jest tests for normalize(), equals() and the normalization option of
+ * the search methods, which compare in a normalization form but report indices into
+ * the original graphemes.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString normalization', () => {
+  const composed = 'Caf\u00E9 cr\u00E8me';
+  const decomposed = 'Cafe\u0301 cre\u0300me';
+
+  describe('normalize()', () => {
+    test('should compose to NFC by default', () => {
+      const result = new GCString(decomposed).normalize();
+      expect(result).toBeInstanceOf(GCString);
+      expect(result.value).toBe(composed);
+      expect(result.length).toBe(10);
+    });
+
+    test('should support the other forms', () => {
+      expect(new GCString(composed).normalize('NFD').value).toBe(decomposed);
+      expect(new GCString('\uFB01le').normalize('NFKC').value).toBe('file');
+    });
+
+    test('should throw RangeError for an unknown form', () => {
+      expect(() => new GCString(composed).normalize('NFX')).toThrow(RangeError);
+    });
+  });
+
+  describe('equals()', () => {
+    test('should compare values strictly by default', () => {
+      expect(new GCString(composed).equals(composed)).toBe(true);
+      expect(new GCString(composed).equals(decomposed)).toBe(false);
+      expect(new GCString(composed).equals(new GCString(composed))).toBe(true);
+    });
+
+    test('should treat canonically equivalent strings as equal', () => {
+      expect(new GCString(composed).equals(decomposed, { normalization: 'NFC' })).toBe(true);
+      expect(new GCString(decomposed).equals(new GCString(composed), { normalization: 'NFD' }))
+        .toBe(true);
+    });
+
+    test('should only fold compatibility characters in K forms', () => {
+      const ligature = new GCString('\uFB01le');
+      expect(ligature.equals('file', { normalization: 'NFC' })).toBe(false);
+      expect(ligature.equals('file', { normalization: 'NFKC' })).toBe(true);
+    });
+
+    test('should return false for non-strings', () => {
+      expect(new GCString('1').equals(1)).toBe(false);
+      expect(new GCString('').equals(null)).toBe(false);
+    });
+  });
+
+  describe('search options', () => {
+    test('should not match equivalent forms without the option', () => {
+      expect(new GCString(decomposed).indexOf('\u00E9')).toBe(-1);
+      expect(new GCString(decomposed).includes('\u00E9')).toBe(false);
+    });
+
+    test('should find composed text in decomposed text', () => {
+      const str = new GCString(decomposed);
+      expect(str.indexOf('\u00E9', 0, { normalization: 'NFC' })).toBe(3);
+      expect(str.indexOf('cr\u00E8me', 0, { normalization: 'NFD' })).toBe(5);
+      expect(str.includes('\u00E8', 0, { normalization: 'NFC' })).toBe(true);
+    });
+
+    test('should report indices into the original graphemes when K forms expand', () => {
+      const str = new GCString('\uFB01 and \uFB01le');
+      expect(str.indexOf('file', 0, { normalization: 'NFKC' })).toBe(6);
+      expect(str.lastIndexOf('fi', undefined, { normalization: 'NFKC' })).toBe(6);
+      expect(str.lastIndexOf('fi', 5, { normalization: 'NFKC' })).toBe(0);
+    });
+
+    test('should not match part of an expanded grapheme', () => {
+      const str = new GCString('\uFB01');
+      expect(str.indexOf('f', 0, { normalization: 'NFKC' })).toBe(-1);
+      expect(str.includes('i', 0, { normalization: 'NFKC' })).toBe(false);
+      expect(str.indexOf('fi', 0, { normalization: 'NFKC' })).toBe(0);
+    });
+
+    test('should respect position', () => {
+      const str = new GCString('e\u0301e\u0301');
+      expect(str.indexOf('\u00E9', 1, { normalization: 'NFC' })).toBe(1);
+      expect(str.lastIndexOf('\u00E9', 0, { normalization: 'NFC' })).toBe(0);
+    });
+
+    test('should support startsWith and endsWith', () => {
+      const str = new GCString(decomposed);
+      expect(str.startsWith('Caf\u00E9', 0, { normalization: 'NFC' })).toBe(true);
+      expect(str.startsWith('cr\u00E8', 5, { normalization: 'NFC' })).toBe(true);
+      expect(str.endsWith('\u00E8me', undefined, { normalization: 'NFC' })).toBe(true);
+      expect(str.endsWith('Caf\u00E9', 4, { normalization: 'NFC' })).toBe(true);
+      expect(str.endsWith('Caf\u00E9', 5, { normalization: 'NFC' })).toBe(false);
+    });
+
+    test('should end matches on an original boundary in endsWith', () => {
+      const str = new GCString('x\uFB01');
+      expect(str.endsWith('i', undefined, { normalization: 'NFKC' })).toBe(false);
+      expect(str.endsWith('fi', undefined, { normalization: 'NFKC' })).toBe(true);
+    });
+  });
+});
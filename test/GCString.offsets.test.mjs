@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Jest tests for converting between grapheme indices and
+ * UTF-16 code unit, code point and UTF-8 byte offsets.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString offset conversion', () => {
+  // Graphemes: [Family Emoji], [Space], [é], [x]
+  // Code units:  11, 1, 2 (e + combining acute), 1
+  // Code points:  7, 1, 2, 1
+  // UTF-8 bytes: 25, 1, 3, 1
+  const gc = new GCString('👨‍👩‍👧‍👦 éx');
+
+  describe('grapheme to offset', () => {
+    test('graphemeToCodeUnit should return UTF-16 offsets', () => {
+      expect([0, 1, 2, 3, 4].map(i => gc.graphemeToCodeUnit(i))).toEqual([0, 11, 12, 14, 15]);
+    });
+
+    test('graphemeToCodePoint should return code point offsets', () => {
+      expect([0, 1, 2, 3, 4].map(i => gc.graphemeToCodePoint(i))).toEqual([0, 7, 8, 10, 11]);
+    });
+
+    test('graphemeToByte should return UTF-8 byte offsets', () => {
+      expect([0, 1, 2, 3, 4].map(i => gc.graphemeToByte(i))).toEqual([0, 25, 26, 29, 30]);
+      expect(gc.graphemeToByte(4)).toBe(new TextEncoder().encode(gc.value).length);
+    });
+
+    test('should throw for indices outside 0..length', () => {
+      expect(() => gc.graphemeToCodeUnit(5)).toThrow(RangeError);
+      expect(() => gc.graphemeToCodePoint(-1)).toThrow(RangeError);
+      expect(() => gc.graphemeToByte(1.5)).toThrow(RangeError);
+    });
+  });
+
+  describe('offset to grapheme', () => {
+    test('should map boundary offsets exactly', () => {
+      expect(gc.codeUnitToGrapheme(11)).toBe(1);
+      expect(gc.codePointToGrapheme(8)).toBe(2);
+      expect(gc.byteToGrapheme(29)).toBe(3);
+      expect(gc.codeUnitToGrapheme(15)).toBe(4);
+    });
+
+    test('should floor offsets inside a cluster by default', () => {
+      expect(gc.codeUnitToGrapheme(5)).toBe(0);
+      expect(gc.codePointToGrapheme(9)).toBe(2);
+      expect(gc.byteToGrapheme(10)).toBe(0);
+    });
+
+    test('should ceil offsets inside a cluster with the ceil policy', () => {
+      expect(gc.codeUnitToGrapheme(5, 'ceil')).toBe(1);
+      expect(gc.codePointToGrapheme(9, 'ceil')).toBe(3);
+      expect(gc.byteToGrapheme(27, 'ceil')).toBe(3);
+    });
+
+    test('should throw for offsets inside a cluster with the throw policy', () => {
+      expect(() => gc.codeUnitToGrapheme(13, 'throw')).toThrow(RangeError);
+      expect(gc.codeUnitToGrapheme(12, 'throw')).toBe(2);
+    });
+
+    test('should throw for offsets out of range or invalid policies', () => {
+      expect(() => gc.codeUnitToGrapheme(16)).toThrow(RangeError);
+      expect(() => gc.byteToGrapheme(-1)).toThrow(RangeError);
+      expect(() => gc.codeUnitToGrapheme(0, 'round')).toThrow(RangeError);
+    });
+
+    test('should round-trip every grapheme boundary', () => {
+      for (let i = 0; i <= gc.length; i++) {
+        expect(gc.codeUnitToGrapheme(gc.graphemeToCodeUnit(i))).toBe(i);
+        expect(gc.codePointToGrapheme(gc.graphemeToCodePoint(i))).toBe(i);
+        expect(gc.byteToGrapheme(gc.graphemeToByte(i))).toBe(i);
+      }
+    });
+  });
+
+  test('should count lone surrogates as U+FFFD in UTF-8', () => {
+    const lone = new GCString('a\uD800b');
+    expect(lone.graphemeToByte(3)).toBe(5);
+  });
+
+  test('should handle the empty string', () => {
+    const empty = new GCString('');
+    expect(empty.graphemeToCodeUnit(0)).toBe(0);
+    expect(empty.byteToGrapheme(0)).toBe(0);
+  });
+});
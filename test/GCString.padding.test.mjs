@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Jest tests for width-aware padding: padStart() and padEnd()
+ * with `unit: 'width'`, padCenter() and align().
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString width-aware padding', () => {
+  describe('padStart() and padEnd() with unit: "width"', () => {
+    test('should pad wide text to the same column as narrow text', () => {
+      const narrow = new GCString('abcd').padStart(6, ' ', { unit: 'width' });
+      const wide = new GCString('日本').padStart(6, ' ', { unit: 'width' });
+      expect(narrow.value).toBe('  abcd');
+      expect(wide.value).toBe('  日本');
+      expect(wide.displayWidth).toBe(narrow.displayWidth);
+    });
+
+    test('should differ from grapheme padding for wide text', () => {
+      expect(new GCString('日本').padEnd(6).value).toBe('日本    ');
+      expect(new GCString('日本').padEnd(6, ' ', { unit: 'width' }).value).toBe('日本  ');
+    });
+
+    test('should fill with whole wide pad graphemes and spaces for leftover columns', () => {
+      expect(new GCString('a').padEnd(6, '👋', { unit: 'width' }).value).toBe('a👋👋 ');
+      expect(new GCString('a').padStart(4, '日x', { unit: 'width' }).value).toBe('日xa');
+      expect(new GCString('a').padStart(5, '日x', { unit: 'width' }).value).toBe('日x a');
+    });
+
+    test('should never split a multi-code-unit pad grapheme', () => {
+      const padded = new GCString('Hi').padEnd(5, '👨‍👩‍👧‍👦', { unit: 'width' });
+      expect(padded.graphemes).toEqual(['H', 'i', '👨‍👩‍👧‍👦', ' ']);
+    });
+
+    test('should honour ambiguousWidth', () => {
+      expect(new GCString('±').padStart(3, ' ', { unit: 'width' }).value).toBe('  ±');
+      expect(new GCString('±').padStart(3, ' ', { unit: 'width', ambiguousWidth: 2 }).value).toBe(' ±');
+    });
+
+    test('should not pad when already wide enough', () => {
+      expect(new GCString('日本語').padStart(4, ' ', { unit: 'width' }).value).toBe('日本語');
+    });
+
+    test('should return the string unchanged for empty or zero-width pad strings', () => {
+      expect(new GCString('ab').padEnd(5, '', { unit: 'width' }).value).toBe('ab');
+      expect(new GCString('ab').padEnd(5, '\u200B', { unit: 'width' }).value).toBe('ab');
+      expect(new GCString('ab').padEnd(5, '').value).toBe('ab');
+    });
+
+    test('should throw for an invalid unit', () => {
+      expect(() => new GCString('ab').padEnd(5, ' ', { unit: 'bytes' })).toThrow(RangeError);
+    });
+  });
+
+  describe('padCenter()', () => {
+    test('should pad both sides in graphemes', () => {
+      expect(new GCString('Hi').padCenter(6, '*').value).toBe('**Hi**');
+      expect(new GCString('Hi').padCenter(5, '👋').value).toBe('👋Hi👋👋');
+    });
+
+    test('should pad both sides in display width', () => {
+      expect(new GCString('日本').padCenter(8, '-', { unit: 'width' }).value).toBe('--日本--');
+      expect(new GCString('日本').padCenter(7, ' ', { unit: 'width' }).value).toBe(' 日本  ');
+    });
+
+    test('should not pad when already long enough', () => {
+      expect(new GCString('Hello').padCenter(3).value).toBe('Hello');
+    });
+  });
+
+  describe('align()', () => {
+    const cells = ['abcd', '日本', '👍🏽!'].map(s => new GCString(s));
+
+    test('should left, right and center align within a column width', () => {
+      expect(cells.map(c => c.align(6).value)).toEqual(['abcd  ', '日本  ', '👍🏽!   ']);
+      expect(cells.map(c => c.align(6, 'right').value)).toEqual(['  abcd', '  日本', '   👍🏽!']);
+      expect(cells.map(c => c.align(6, 'center').value)).toEqual([' abcd ', ' 日本 ', ' 👍🏽!  ']);
+      cells.forEach(c => expect(c.align(6, 'center').displayWidth).toBe(6));
+    });
+
+    test('should accept a pad string', () => {
+      expect(new GCString('日本').align(6, 'left', { padString: '.' }).value).toBe('日本..');
+    });
+
+    test('should throw for an invalid alignment', () => {
+      expect(() => new GCString('a').align(4, 'justify')).toThrow(RangeError);
+    });
+  });
+});
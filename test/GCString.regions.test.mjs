@@ -0,0 +1,73 @@
+/**
+ * @fileoverview Jest tests for GCString.fromRegionCode() and regionCodes(), which
+ * convert between flag emoji and ISO 3166 region and subdivision codes.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString flags and region codes', () => {
+  const japan = '\u{1F1EF}\u{1F1F5}';
+  const tag = (letters) => [...letters].map(c => String.fromCodePoint(0xE0000 + c.charCodeAt(0))).join('');
+  const subdivision = (letters) => `\u{1F3F4}${tag(letters)}\u{E007F}`;
+
+  describe('fromRegionCode()', () => {
+    test('should build a regional indicator pair', () => {
+      const flag = GCString.fromRegionCode('JP');
+      expect(flag).toBeInstanceOf(GCString);
+      expect(flag.value).toBe(japan);
+      expect(flag.length).toBe(1);
+    });
+
+    test('should accept lowercase codes', () => {
+      expect(GCString.fromRegionCode('jp').value).toBe(japan);
+      expect(GCString.fromRegionCode('eu').value).toBe('\u{1F1EA}\u{1F1FA}');
+    });
+
+    test('should build subdivision tag sequences', () => {
+      expect(GCString.fromRegionCode('GB-ENG').value).toBe(subdivision('gbeng'));
+      expect(GCString.fromRegionCode('gbsct').value).toBe(subdivision('gbsct'));
+      expect(GCString.fromRegionCode('gb-wls').value).toBe(subdivision('gbwls'));
+      expect(GCString.fromRegionCode('GB-ENG').length).toBe(1);
+    });
+
+    test('should throw RangeError for codes outside the bundled list', () => {
+      expect(() => GCString.fromRegionCode('ZZ')).toThrow(RangeError);
+      expect(() => GCString.fromRegionCode('GB-XYZ')).toThrow(RangeError);
+      expect(() => GCString.fromRegionCode('JPN')).toThrow(RangeError);
+      expect(() => GCString.fromRegionCode('')).toThrow(RangeError);
+    });
+
+    test('should throw TypeError for non-strings', () => {
+      expect(() => GCString.fromRegionCode(81)).toThrow(TypeError);
+    });
+  });
+
+  describe('regionCodes()', () => {
+    test('should report every flag with its offsets', () => {
+      const str = new GCString(`Tokyo ${japan} and ${subdivision('gbsct')}!`);
+      expect(str.regionCodes()).toEqual([
+        { index: 6, codeUnitIndex: 6, code: 'JP', isValid: true },
+        { index: 12, codeUnitIndex: 15, code: 'GB-SCT', isValid: true }
+      ]);
+    });
+
+    test('should flag unknown regions as invalid', () => {
+      const str = new GCString(`\u{1F1FF}\u{1F1FF}${subdivision('gbxyz')}`);
+      expect(str.regionCodes()).toEqual([
+        { index: 0, codeUnitIndex: 0, code: 'ZZ', isValid: false },
+        { index: 1, codeUnitIndex: 4, code: 'GB-XYZ', isValid: false }
+      ]);
+    });
+
+    test('should ignore other emoji and text', () => {
+      expect(new GCString('\u{1F3F4} \u{1F44B} 1\uFE0F\u20E3').regionCodes()).toEqual([]);
+      expect(new GCString('').regionCodes()).toEqual([]);
+    });
+
+    test('should round-trip with fromRegionCode()', () => {
+      for (const code of ['JP', 'US', 'UN', 'GB-ENG', 'GB-WLS']) {
+        expect(GCString.fromRegionCode(code).regionCodes()[0].code).toBe(code);
+      }
+    });
+  });
+});
@@ -75,3 +75,111 @@ describe('Code Point Replacement vs. Grapheme Cluster Replacement', () => {
         console.log("GCString.replace() should ensure the replacement happens at a Grapheme Cluster boundary.");
     });
 });
+
+describe('GCString.replace() and GCString.replaceAll()', () => {
+
+    const familyEmoji = "👨‍👩‍👧‍👦";
+    const thumbsUpSkinTone = "👍🏽";
+
+    test('replace() with /./ replaces the whole leading Grapheme Cluster', () => {
+        const result = new GCString(familyEmoji + "Hello").replace(/./, "X");
+        expect(result).toBeInstanceOf(GCString);
+        expect(result.value).toBe("XHello");
+        expect(result.length).toBe(6);
+    });
+
+    test('replaceAll() with /./g replaces each Grapheme Cluster once', () => {
+        expect(new GCString(thumbsUpSkinTone + thumbsUpSkinTone).replaceAll(/./g, "X").value).toBe("XX");
+        expect(new GCString(familyEmoji + "Hi").replaceAll(/./gu, "X").value).toBe("XXX");
+    });
+
+    test('replace() with a global RegExp replaces every match', () => {
+        expect(new GCString("a👍🏽b").replace(/[a-z]/g, "_").value).toBe("_👍🏽_");
+    });
+
+    test('replaceAll() throws for a non-global RegExp', () => {
+        expect(() => new GCString("abc").replaceAll(/b/, "X")).toThrow(TypeError);
+    });
+
+    test('string patterns only match whole Grapheme Clusters', () => {
+        const gc = new GCString("é e");
+        expect(gc.replaceAll("e", "E").value).toBe("é E");
+        expect(new GCString(thumbsUpSkinTone + "👍").replace("👍", "X").value).toBe(thumbsUpSkinTone + "X");
+    });
+
+    test('GCString patterns are accepted', () => {
+        const gc = new GCString("🇺🇸 and 🇺🇸");
+        expect(gc.replaceAll(new GCString("🇺🇸"), "US").value).toBe("US and US");
+    });
+
+    test('empty patterns insert between Grapheme Clusters', () => {
+        expect(new GCString(familyEmoji + "a").replaceAll("", "-").value).toBe("-" + familyEmoji + "-a-");
+        expect(new GCString(familyEmoji + "a").replaceAll(/x*/g, "-").value).toBe("-" + familyEmoji + "-a-");
+    });
+
+    test('replacement functions receive grapheme offsets', () => {
+        const calls = [];
+        const gc = new GCString(familyEmoji + "ab" + thumbsUpSkinTone + "b");
+        const result = gc.replaceAll("b", (match, offset, string) => {
+            calls.push([match, offset, string]);
+            return "B";
+        });
+        expect(result.value).toBe(familyEmoji + "aB" + thumbsUpSkinTone + "B");
+        expect(calls).toEqual([["b", 2, gc], ["b", 4, gc]]);
+    });
+
+    test('replacement functions receive captures and named groups', () => {
+        const gc = new GCString(thumbsUpSkinTone + " 42");
+        const result = gc.replace(/(?<num>\d)(\d)/, (match, first, second, offset, string, groups) => {
+            expect(offset).toBe(2);
+            expect(groups.num).toBe("4");
+            return second + first;
+        });
+        expect(result.value).toBe(thumbsUpSkinTone + " 24");
+    });
+
+    test('replacement strings support $ patterns', () => {
+        const gc = new GCString("John Smith");
+        expect(gc.replace(/(?<first>\w+) (\w+)/, "$2, $<first>").value).toBe("Smith, John");
+        expect(gc.replace("Smith", "[$&] $$").value).toBe("John [Smith] $");
+        expect(gc.replace(" ", "$'$`").value).toBe("JohnSmithJohnSmith");
+    });
+
+    test('matches inside a cluster are widened by default', () => {
+        const gc = new GCString("a" + thumbsUpSkinTone + "b");
+        const offsets = [];
+        const result = gc.replace(/\u{1F3FD}/u, (match, offset) => {
+            offsets.push(offset);
+            return `[${match}]`;
+        });
+        expect(result.value).toBe("a[" + thumbsUpSkinTone + "]b");
+        expect(offsets).toEqual([1]);
+    });
+
+    test('captures of a widened match are widened with it', () => {
+        const gc = new GCString("a" + thumbsUpSkinTone + "b");
+        expect(gc.replace(/(\u{1F44D})/u, "[$1]").value).toBe("a[" + thumbsUpSkinTone + "]b");
+        expect(gc.replace(/(?<base>\u{1F44D})/u, "[$<base>]").value).toBe("a[" + thumbsUpSkinTone + "]b");
+        expect(gc.replace(/(\u{1F44D})|(z)/u, (match, first, second) => `${first}|${second}`).value)
+            .toBe("a" + thumbsUpSkinTone + "|undefinedb");
+    });
+
+    test('matches inside a cluster are skipped with boundary: "reject"', () => {
+        const gc = new GCString("\u{1F3FD}a" + thumbsUpSkinTone);
+        expect(gc.replaceAll(/\u{1F3FD}/gu, "X", { boundary: 'reject' }).value).toBe("Xa" + thumbsUpSkinTone);
+        expect(new GCString(familyEmoji + "Hi").replaceAll(/./g, "X", { boundary: 'reject' }).value)
+            .toBe(familyEmoji + "XX");
+    });
+
+    test('invalid boundary options throw', () => {
+        expect(() => new GCString("abc").replace("b", "X", { boundary: 'split' })).toThrow(RangeError);
+    });
+
+    test('the original GCString and RegExp are not modified', () => {
+        const gc = new GCString("abc");
+        const regex = /b/g;
+        gc.replace(regex, "X");
+        expect(gc.value).toBe("abc");
+        expect(regex.lastIndex).toBe(0);
+    });
+});
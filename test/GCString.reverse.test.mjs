@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Jest tests for GCString.reverse(), which reverses grapheme clusters
+ * rather than code points and can keep right-to-left or numeric runs in logical order.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString.reverse()', () => {
+  test('should keep emoji sequences intact where spreading code points scrambles them', () => {
+    const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+    const str = `Hi \u{1F44B}\u{1F3FD} ${family}!`;
+    const expected = `!${family} \u{1F44B}\u{1F3FD} iH`;
+    expect([...str].reverse().join('')).not.toBe(expected);
+
+    const reversed = new GCString(str).reverse();
+    expect(reversed).toBeInstanceOf(GCString);
+    expect(reversed.value).toBe(expected);
+    expect(reversed.length).toBe(new GCString(str).length);
+  });
+
+  test('should keep flags, keycaps and combining marks intact', () => {
+    expect(new GCString('\u{1F1EF}\u{1F1F5}\u{1F1FA}\u{1F1F8}').reverse().value)
+      .toBe('\u{1F1FA}\u{1F1F8}\u{1F1EF}\u{1F1F5}');
+    expect(new GCString('1\uFE0F\u20E3#\uFE0F\u20E3').reverse().value)
+      .toBe('#\uFE0F\u20E31\uFE0F\u20E3');
+    expect(new GCString('ne\u0301e').reverse().value).toBe('ee\u0301n');
+  });
+
+  test('should be its own inverse', () => {
+    const str = new GCString('café \u{1F469}\u{1F3FE}\u200D\u{1F4BB} مرحبا');
+    expect(str.reverse().reverse().value).toBe(str.value);
+  });
+
+  test('should handle empty and single-grapheme strings', () => {
+    expect(new GCString('').reverse().value).toBe('');
+    expect(new GCString('\u{1F44D}\u{1F3FB}').reverse().value).toBe('\u{1F44D}\u{1F3FB}');
+  });
+
+  describe('keepRtl', () => {
+    const mixed = 'abc שלום עולם def';
+
+    test('should reverse right-to-left text by default', () => {
+      expect(new GCString(mixed).reverse().value)
+        .toBe('fed םלוע םולש cba');
+    });
+
+    test('should keep a right-to-left run, including inner spaces, in logical order', () => {
+      expect(new GCString(mixed).reverse({ keepRtl: true }).value)
+        .toBe('fed שלום עולם cba');
+    });
+
+    test('should not pull trailing neutrals into the run', () => {
+      expect(new GCString('אב! x').reverse({ keepRtl: true }).value)
+        .toBe('x !אב');
+    });
+  });
+
+  describe('keepNumbers', () => {
+    test('should keep numbers with separators in logical order', () => {
+      expect(new GCString('pay 1,000.50 now').reverse({ keepNumbers: true }).value)
+        .toBe('won 1,000.50 yap');
+      expect(new GCString('v1.25').reverse({ keepNumbers: true }).value).toBe('1.25v');
+    });
+
+    test('should not join numbers across repeated separators', () => {
+      expect(new GCString('12..34').reverse({ keepNumbers: true }).value).toBe('34..12');
+    });
+
+    test('should combine with keepRtl', () => {
+      const str = new GCString('x مرحبا ١٢٣');
+      expect(str.reverse({ keepRtl: true, keepNumbers: true }).value)
+        .toBe('١٢٣ مرحبا x');
+    });
+  });
+});
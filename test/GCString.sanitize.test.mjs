@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Jest tests for GCString.sanitize() and wellFormedReport(), which find
+ * and repair lone surrogates, orphan joiners, dangling variation selectors and
+ * "Zalgo" stacks of combining marks.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString sanitizing', () => {
+  const ZWJ = '\u200D';
+  const VS16 = '\uFE0F';
+  const family = `\u{1F468}${ZWJ}\u{1F469}${ZWJ}\u{1F467}`;
+  const zalgo = (base, count) => base + '\u0300\u0301\u0302\u0303\u0304'.repeat(count / 5);
+
+  describe('wellFormedReport()', () => {
+    test('should report nothing for well-formed text', () => {
+      const str = new GCString(`Cafe\u0301 ${family} 1${VS16}\u20E3 \u{1F44D}\u{1F3FD} क\u094D${ZWJ}`);
+      expect(str.wellFormedReport()).toEqual({ isWellFormed: true, problems: [] });
+    });
+
+    test('should report lone surrogates with their indices', () => {
+      const str = new GCString('a\uD800b\uDC00');
+      expect(str.wellFormedReport().problems).toEqual([
+        { type: 'lone-surrogate', index: 1, codeUnitIndex: 1, codePoint: 0xD800 },
+        { type: 'lone-surrogate', index: 3, codeUnitIndex: 3, codePoint: 0xDC00 }
+      ]);
+      expect(str.wellFormedReport().isWellFormed).toBe(false);
+    });
+
+    test('should report joiners that join nothing', () => {
+      const str = new GCString(`${ZWJ}a \u{1F44D}${ZWJ} b${ZWJ}${ZWJ}`);
+      expect(str.wellFormedReport().problems).toEqual([
+        { type: 'orphan-joiner', index: 0, codeUnitIndex: 0, codePoint: 0x200D },
+        { type: 'orphan-joiner', index: 3, codeUnitIndex: 5, codePoint: 0x200D },
+        { type: 'orphan-joiner', index: 5, codeUnitIndex: 9, codePoint: 0x200D }
+      ]);
+    });
+
+    test('should report variation selectors without a base', () => {
+      const str = new GCString(`${VS16}x e\u0301${VS16} \u{1F44D}\u{1F3FD}${VS16}`);
+      expect(str.wellFormedReport().problems.map(({ type, index }) => [type, index])).toEqual([
+        ['dangling-selector', 0],
+        ['dangling-selector', 3],
+        ['dangling-selector', 5]
+      ]);
+    });
+
+    test('should report excess combining marks once per cluster', () => {
+      const str = new GCString(`${zalgo('H', 40)}i`);
+      expect(str.wellFormedReport().problems).toEqual([
+        { type: 'excess-combining-marks', index: 0, codeUnitIndex: 31, codePoint: 0x300, count: 10 }
+      ]);
+      expect(str.wellFormedReport({ maxCombiningMarks: 40 }).isWellFormed).toBe(true);
+      expect(new GCString('e\u0301').wellFormedReport({ maxCombiningMarks: 0 }).problems)
+        .toMatchObject([{ type: 'excess-combining-marks', count: 1 }]);
+    });
+
+    test('should report indices relative to a slice', () => {
+      const view = new GCString(`${family}ab\uD800`).slice(1);
+      expect(view.wellFormedReport().problems)
+        .toEqual([{ type: 'lone-surrogate', index: 2, codeUnitIndex: 2, codePoint: 0xD800 }]);
+    });
+
+    test('should throw RangeError for an invalid mark limit', () => {
+      expect(() => new GCString('a').wellFormedReport({ maxCombiningMarks: -1 })).toThrow(RangeError);
+      expect(() => new GCString('a').wellFormedReport({ maxCombiningMarks: 1.5 })).toThrow(RangeError);
+    });
+  });
+
+  describe('sanitize()', () => {
+    test('should fix every problem by default', () => {
+      const str = new GCString(`${ZWJ}a\uD800 \u{1F44D}${ZWJ} ${VS16}${zalgo('Z', 100)}`);
+      const result = str.sanitize();
+      expect(result).toBeInstanceOf(GCString);
+      expect(result.value).toBe(`a \u{1F44D} ${zalgo('Z', 30)}`);
+      expect(result.wellFormedReport().isWellFormed).toBe(true);
+    });
+
+    test('should cap combining marks per cluster', () => {
+      expect(new GCString('Z\u0335\u0321\u0322\u0327o').sanitize({ maxCombiningMarks: 1 }).value)
+        .toBe('Z\u0335o');
+      expect(new GCString('e\u0301\u0323').sanitize({ maxCombiningMarks: 0 }).value).toBe('e');
+    });
+
+    test('should leave well-formed text unchanged', () => {
+      const text = `Cafe\u0301 ${family} 1${VS16}\u20E3 \u{1F3F3}${VS16}${ZWJ}\u{1F308}`;
+      expect(new GCString(text).sanitize().value).toBe(text);
+    });
+
+    test('should use the replacement string', () => {
+      const str = new GCString(`a\uD800b${ZWJ}`);
+      expect(str.sanitize({ replacement: '\uFFFD' }).value).toBe(`a\uFFFDb${ZWJ}`);
+      expect(new GCString(`\u{1F44D}${ZWJ}`).sanitize({ replacement: '?' }).value).toBe('\u{1F44D}?');
+    });
+
+    test('should only fix the enabled problems', () => {
+      const str = new GCString(`a\uD800 \u{1F44D}${ZWJ} ${VS16}`);
+      expect(str.sanitize({ dropLoneSurrogates: false }).value).toBe('a\uD800 \u{1F44D} ');
+      expect(str.sanitize({ dropOrphanJoiners: false }).value).toBe(`a \u{1F44D}${ZWJ} `);
+      expect(str.sanitize({ dropDanglingSelectors: false }).value).toBe(`a \u{1F44D} ${VS16}`);
+    });
+
+    test('should allow unlimited combining marks', () => {
+      const str = new GCString(zalgo('a', 50));
+      expect(str.sanitize({ maxCombiningMarks: Infinity }).value).toBe(str.value);
+    });
+  });
+});
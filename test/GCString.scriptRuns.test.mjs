@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Jest tests for GCString.scriptRuns(), which splits a string into
+ * single-script runs of grapheme clusters for font fallback and language tagging.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString.scriptRuns()', () => {
+  test('should find runs of different scripts', () => {
+    const str = new GCString('Hello مرحبا नमस\u094Dत\u0947 你好');
+    expect(str.scriptRuns()).toEqual([
+      { script: 'Latin', start: 0, end: 6 },
+      { script: 'Arabic', start: 6, end: 12 },
+      { script: 'Devanagari', start: 12, end: 16 },
+      { script: 'Han', start: 16, end: 18 }
+    ]);
+  });
+
+  test('should attach spaces, punctuation, digits and emoji to the preceding run', () => {
+    expect(new GCString('Привет, 2024 \u{1F44B}! ok').scriptRuns()).toEqual([
+      { script: 'Cyrillic', start: 0, end: 16 },
+      { script: 'Latin', start: 16, end: 18 }
+    ]);
+  });
+
+  test('should attach leading neutral clusters to the first run', () => {
+    expect(new GCString('\u{1F389} 42 Ελλάδα').scriptRuns()).toEqual([
+      { script: 'Greek', start: 0, end: 11 }
+    ]);
+  });
+
+  test('should keep combining marks with their base', () => {
+    const str = new GCString('cafe\u0301 ру\u0301сский');
+    expect(str.scriptRuns()).toEqual([
+      { script: 'Latin', start: 0, end: 5 },
+      { script: 'Cyrillic', start: 5, end: 12 }
+    ]);
+  });
+
+  test('should return one Common run when there is no other script', () => {
+    expect(new GCString('123 \u{1F468}\u200D\u{1F469}\u200D\u{1F467}!').scriptRuns())
+      .toEqual([{ script: 'Common', start: 0, end: 6 }]);
+    expect(new GCString('\u0301x').scriptRuns()).toEqual([{ script: 'Latin', start: 0, end: 2 }]);
+  });
+
+  test('should cover the string with adjacent runs', () => {
+    const str = new GCString('abc דוד 東京タワー def');
+    const runs = str.scriptRuns();
+    expect(runs[0].start).toBe(0);
+    expect(runs.at(-1).end).toBe(str.length);
+    runs.slice(1).forEach((run, i) => expect(run.start).toBe(runs[i].end));
+    expect(runs.map(run => run.script)).toEqual(['Latin', 'Hebrew', 'Han', 'Katakana', 'Latin']);
+  });
+
+  const hasUnicode16 = /^\p{Script=Cyrillic}$/u.test('\u1C89');
+  (hasUnicode16 ? test : test.skip)('should know the scripts of the runtime Unicode version', () => {
+    expect(new GCString('\u0434\u1C89 \u0628\u0897').scriptRuns()).toEqual([
+      { script: 'Cyrillic', start: 0, end: 3 },
+      { script: 'Arabic', start: 3, end: 4 }
+    ]);
+  });
+
+  test('should return an empty array for the empty string', () => {
+    expect(new GCString('').scriptRuns()).toEqual([]);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * @fileoverview Jest tests for GCString.words() and sentences(), which use
+ * locale-aware Intl.Segmenter rules and report grapheme offsets.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString word and sentence segmentation', () => {
+  const values = (segments) => segments.map(s => s.segment.value);
+
+  describe('words()', () => {
+    test('should return GCString segments with grapheme offsets', () => {
+      const words = new GCString('👨‍👩‍👧‍👦 Hi there').words();
+      expect(values(words)).toEqual(['👨‍👩‍👧‍👦', ' ', 'Hi', ' ', 'there']);
+      expect(words.map(w => w.index)).toEqual([0, 1, 2, 4, 5]);
+      expect(words.map(w => w.codeUnitIndex)).toEqual([0, 11, 12, 14, 15]);
+      words.forEach(w => expect(w.segment).toBeInstanceOf(GCString));
+    });
+
+    test('should flag word-like segments', () => {
+      const words = new GCString('Hi, 👋 there!').words();
+      expect(words.filter(w => w.isWordLike).map(w => w.segment.value)).toEqual(['Hi', 'there']);
+    });
+
+    test('should count words in Thai text without spaces', () => {
+      const words = new GCString('สวัสดีครับ').words('th').filter(w => w.isWordLike);
+      expect(words.length).toBeGreaterThan(1);
+      expect(values(words).join('')).toBe('สวัสดีครับ');
+      expect(words[1].index).toBe(new GCString(words[0].segment.value).length);
+    });
+
+    test('should segment Japanese and Chinese text into words', () => {
+      const ja = new GCString('私は日本語を話します').words('ja').filter(w => w.isWordLike);
+      const zh = new GCString('我爱北京天安门').words('zh').filter(w => w.isWordLike);
+      expect(ja.length).toBeGreaterThan(3);
+      expect(values(ja)).toContain('日本語');
+      expect(zh.length).toBeGreaterThan(1);
+      expect(zh.length).toBeLessThan(7);
+    });
+
+    test('should let callers jump by word using grapheme offsets', () => {
+      const gc = new GCString('é👍🏽 naïve café');
+      const starts = gc.words().filter(w => w.isWordLike).map(w => w.index);
+      expect(starts.map(i => gc.charAt(i))).toEqual(['é', 'n', 'c']);
+    });
+
+    test('should return an empty array for an empty string', () => {
+      expect(new GCString('').words()).toEqual([]);
+    });
+  });
+
+  describe('sentences()', () => {
+    test('should return sentences with grapheme offsets', () => {
+      const sentences = new GCString('Hi 👋. Bye! Ok?').sentences('en');
+      expect(values(sentences)).toEqual(['Hi 👋. ', 'Bye! ', 'Ok?']);
+      expect(sentences.map(s => s.index)).toEqual([0, 6, 11]);
+      expect(sentences[0]).not.toHaveProperty('isWordLike');
+    });
+
+    test('should split sentences ending in full-width punctuation', () => {
+      const sentences = new GCString('今日は晴れ。明日は雨。').sentences('ja');
+      expect(values(sentences)).toEqual(['今日は晴れ。', '明日は雨。']);
+      expect(sentences[1].index).toBe(6);
+    });
+  });
+});
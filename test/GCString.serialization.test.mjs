@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Jest tests for GCString's JSON, primitive conversion and Node
+ * util.inspect() support: toJSON(), GCString.reviver, Symbol.toPrimitive and the
+ * custom inspect hook.
+ */
+
+import { inspect } from 'node:util';
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString serialization and display', () => {
+  const family = '\u{1F468}\u200D\u{1F469}\u200D\u{1F467}';
+
+  describe('toJSON()', () => {
+    test('should serialize as a JSON string', () => {
+      expect(JSON.stringify(new GCString('hi'))).toBe('"hi"');
+      expect(JSON.stringify({ name: new GCString(family), tags: [new GCString('a')] }))
+        .toBe(`{"name":"${family}","tags":["a"]}`);
+    });
+
+    test('should serialize a view as its own value', () => {
+      const view = new GCString(`${family} and friends`).slice(2, 5);
+      expect(view.toJSON()).toBe('and');
+      expect(JSON.stringify(view)).toBe('"and"');
+    });
+  });
+
+  describe('GCString.reviver', () => {
+    test('should round-trip GCStrings through JSON', () => {
+      const original = { name: new GCString(family), list: [new GCString('x\u0301')], count: 2 };
+      const revived = JSON.parse(JSON.stringify(original), GCString.reviver);
+      expect(revived.name).toBeInstanceOf(GCString);
+      expect(revived.name.value).toBe(family);
+      expect(revived.name.length).toBe(1);
+      expect(revived.list[0].equals(original.list[0])).toBe(true);
+      expect(revived.count).toBe(2);
+    });
+
+    test('should be usable from a key-checking reviver', () => {
+      const revived = JSON.parse('{"name":"Zoe","id":"42"}', (key, value) =>
+        key === 'name' ? GCString.reviver(key, value) : value);
+      expect(revived.name).toBeInstanceOf(GCString);
+      expect(revived.id).toBe('42');
+    });
+  });
+
+  describe('Symbol.toPrimitive', () => {
+    test('should convert to the string value in templates and concatenation', () => {
+      const str = new GCString(family);
+      expect(`${str}!`).toBe(`${family}!`);
+      expect(str + '!').toBe(`${family}!`);
+      expect(String(str)).toBe(family);
+    });
+
+    test('should convert numeric strings with the number hint', () => {
+      expect(+new GCString('42')).toBe(42);
+      expect(Number.isNaN(+new GCString('abc'))).toBe(true);
+    });
+
+    test('should compare by value', () => {
+      expect(new GCString('b') > new GCString('a')).toBe(true);
+      expect(new GCString('a') == 'a').toBe(true);
+    });
+  });
+
+  describe('util.inspect()', () => {
+    test('should show the value with grapheme and code unit lengths', () => {
+      expect(inspect(new GCString(family)))
+        .toBe(`GCString('${family}') { length: 1, codeUnitLength: 8 }`);
+    });
+
+    test('should escape the value like a string', () => {
+      expect(inspect(new GCString("it's\n"))).toBe(`GCString("it's\\n") { length: 5, codeUnitLength: 5 }`);
+    });
+
+    test('should be used when nested', () => {
+      expect(inspect({ s: new GCString('') }))
+        .toBe("{ s: GCString('') { length: 0, codeUnitLength: 0 } }");
+    });
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Jest tests for GCString.truncate(), which shortens strings
+ * with an ellipsis without splitting grapheme clusters.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString.truncate()', () => {
+  test('should return strings that already fit unchanged', () => {
+    expect(new GCString('hello').truncate(5).value).toBe('hello');
+    expect(new GCString('👨‍👩‍👧‍👦').truncate(1).value).toBe('👨‍👩‍👧‍👦');
+  });
+
+  test('should cut at the end by default, counting the ellipsis', () => {
+    const result = new GCString('👨‍👩‍👧‍👦 family photo.jpg').truncate(8);
+    expect(result.value).toBe('👨‍👩‍👧‍👦 famil…');
+    expect(result.length).toBe(8);
+  });
+
+  test('should cut at the start', () => {
+    expect(new GCString('report-final.pdf').truncate(9, { position: 'start' }).value).toBe('…inal.pdf');
+  });
+
+  test('should cut in the middle', () => {
+    expect(new GCString('report-final.pdf').truncate(9, { position: 'middle' }).value).toBe('repo….pdf');
+    expect(new GCString('👍🏽👍🏽👍🏽👍🏽👍🏽').truncate(4, { position: 'middle' }).value).toBe('👍🏽👍🏽…👍🏽');
+  });
+
+  test('should accept a custom ellipsis', () => {
+    expect(new GCString('Hello World').truncate(8, { ellipsis: '...' }).value).toBe('Hello...');
+    expect(new GCString('Hello World').truncate(6, { ellipsis: '' }).value).toBe('Hello ');
+  });
+
+  test('should shorten the ellipsis itself when it does not fit', () => {
+    expect(new GCString('hello').truncate(2, { ellipsis: '...' }).value).toBe('..');
+    expect(new GCString('hello').truncate(0).value).toBe('');
+  });
+
+  describe('units', () => {
+    test('should fit a display width budget', () => {
+      const result = new GCString('日本語のテキスト').truncate(7, { unit: 'width' });
+      expect(result.value).toBe('日本語…');
+      expect(result.displayWidth).toBeLessThanOrEqual(7);
+    });
+
+    test('should fit a UTF-16 budget without splitting clusters', () => {
+      const result = new GCString('👍🏽👍🏽👍🏽').truncate(9, { unit: 'utf16' });
+      expect(result.value).toBe('👍🏽👍🏽…');
+      expect(result.codeUnitLength).toBeLessThanOrEqual(9);
+    });
+
+    test('should fit a UTF-8 budget without splitting clusters', () => {
+      const result = new GCString('aé👍🏽b').truncate(10, { unit: 'utf8' });
+      expect(result.value).toBe('aé…');
+      expect(new TextEncoder().encode(result.value).length).toBeLessThanOrEqual(10);
+    });
+
+    test('should throw for invalid units and positions', () => {
+      expect(() => new GCString('hello').truncate(2, { unit: 'bytes' })).toThrow(RangeError);
+      expect(() => new GCString('hello').truncate(2, { position: 'both' })).toThrow(RangeError);
+    });
+
+    test('should throw for a missing or invalid max', () => {
+      expect(() => new GCString('hello').truncate()).toThrow(RangeError);
+      expect(() => new GCString('hello').truncate(NaN)).toThrow(RangeError);
+      expect(() => new GCString('hello').truncate(-1)).toThrow(RangeError);
+      expect(new GCString('hello').truncate(Infinity).value).toBe('hello');
+    });
+  });
+
+  describe('wordBoundary', () => {
+    const text = new GCString('The quick brown fox');
+
+    test('should prefer cutting between words at the end', () => {
+      expect(text.truncate(12).value).toBe('The quick b…');
+      expect(text.truncate(12, { wordBoundary: true }).value).toBe('The quick…');
+    });
+
+    test('should prefer cutting between words at the start', () => {
+      expect(text.truncate(12, { position: 'start', wordBoundary: true }).value).toBe('…brown fox');
+    });
+
+    test('should prefer cutting between words in the middle', () => {
+      const result = new GCString('The quick brown fox jumps').truncate(14, { position: 'middle', wordBoundary: true });
+      expect(result.value).toBe('The…jumps');
+    });
+
+    test('should fall back to a grapheme cut for a single long word', () => {
+      expect(new GCString('Supercalifragilistic').truncate(6, { wordBoundary: true }).value).toBe('Super…');
+    });
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Jest tests for slice(), substring() and substr() views that
+ * share the parent's segmentation instead of re-segmenting their text.
+ */
+
+import { jest } from '@jest/globals';
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString slice views', () => {
+  const text = '👨‍👩‍👧‍👦The☀️ 👍🏽 end';
+  let segmentSpy;
+
+  beforeEach(() => {
+    segmentSpy = jest.spyOn(Intl.Segmenter.prototype, 'segment');
+  });
+
+  afterEach(() => {
+    segmentSpy.mockRestore();
+  });
+
+  test('should not re-segment when slicing and using the slice', () => {
+    const gc = new GCString(text);
+    const slice = gc.slice(1, 6);
+    expect(slice.length).toBe(5);
+    expect(slice.charAt(3)).toBe('☀️');
+    expect(slice.at(-1)).toBe(' ');
+    expect([...slice.substring(3, 5)]).toEqual(['☀️', ' ']);
+    expect(slice.substr(-2).value).toBe('☀️ ');
+    expect(slice.graphemes).toEqual(['T', 'h', 'e', '☀️', ' ']);
+    expect(segmentSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('should materialize the value of a view on demand', () => {
+    const gc = new GCString(text);
+    const slice = gc.slice(0, 4);
+    expect(slice.value).toBe('👨‍👩‍👧‍👦The');
+    expect(slice.toString()).toBe('👨‍👩‍👧‍👦The');
+    expect(slice.codeUnitLength).toBe(14);
+    expect(`${slice}`).toBe('👨‍👩‍👧‍👦The');
+  });
+
+  test('slices of slices should index into the original string', () => {
+    const gc = new GCString(text);
+    const inner = gc.slice(1).slice(3, -2).slice(1);
+    expect(inner.value).toBe(' 👍🏽 e');
+    expect(inner.length).toBe(4);
+  });
+
+  test('views should support searching and offset conversion', () => {
+    const gc = new GCString(text);
+    const slice = gc.slice(4);
+    expect(slice.indexOf('👍🏽')).toBe(2);
+    expect(slice.graphemeToCodeUnit(2)).toBe(3);
+    expect(slice.codeUnitToGrapheme(4)).toBe(2);
+    expect(slice.match(/e/).index).toBe(4);
+    expect(slice.replace('👍🏽', 'ok').value).toBe('☀️ ok end');
+  });
+
+  test('should resolve indices like the non-view methods', () => {
+    const gc = new GCString('Hello');
+    expect(gc.slice(-3).value).toBe('llo');
+    expect(gc.slice(3, 1).value).toBe('');
+    expect(gc.slice(NaN, 2).value).toBe('He');
+    expect(gc.slice(0, Infinity).value).toBe('Hello');
+    expect(gc.substring(4, 1).value).toBe('ell');
+    expect(gc.substring(-5, 2).value).toBe('He');
+    expect(gc.substr(1, 3).value).toBe('ell');
+    expect(gc.substr(-2).value).toBe('lo');
+    expect(gc.slice(5).length).toBe(0);
+  });
+
+  test('views should be independent GCStrings', () => {
+    const gc = new GCString(text);
+    const slice = gc.slice(1, 4);
+    expect(slice).toBeInstanceOf(GCString);
+    expect(slice.concat('!').value).toBe('The!');
+    expect(gc.value).toBe(text);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @fileoverview Jest tests for GCString.wrap(), which breaks text into lines at
+ * Unicode line break opportunities (UAX #14) without splitting grapheme clusters.
+ */
+
+import GCString from '../src/lib/gcu.js';
+
+describe('GCString.wrap()', () => {
+  const wrap = (text, width, options) => new GCString(text).wrap(width, options).map(String);
+
+  test('should return GCString lines', () => {
+    const lines = new GCString('Hello world').wrap(5);
+    lines.forEach(line => expect(line).toBeInstanceOf(GCString));
+  });
+
+  test('should break at spaces and drop trailing spaces', () => {
+    expect(wrap('The quick brown fox jumps over the lazy dog', 15))
+      .toEqual(['The quick brown', 'fox jumps over', 'the lazy dog']);
+  });
+
+  test('should count grapheme clusters, not code units', () => {
+    expect(wrap('👨‍👩‍👧‍👦 Hello wonderful world', 10)).toEqual(['👨‍👩‍👧‍👦 Hello', 'wonderful', 'world']);
+  });
+
+  test('should keep a whole line when the text fits', () => {
+    expect(wrap('short', 10)).toEqual(['short']);
+  });
+
+  test('should honour mandatory breaks and keep blank lines', () => {
+    expect(wrap('line one\nline two\r\n\nfour', 20)).toEqual(['line one', 'line two', '', 'four']);
+    expect(wrap('a\n', 5)).toEqual(['a', '']);
+  });
+
+  test('should break after hyphens but not before closing punctuation', () => {
+    expect(wrap('self-aware (really) 100% $50 end.', 10))
+      .toEqual(['self-aware', '(really)', '100% $50', 'end.']);
+    expect(wrap('well-known', 6)).toEqual(['well-', 'known']);
+  });
+
+  test('should not break at no-break spaces', () => {
+    expect(wrap('a 10\u00A0km walk', 6)).toEqual(['a', '10\u00A0km', 'walk']);
+  });
+
+  test('should break between ideographs using display width', () => {
+    const lines = wrap('日本語のテキストを折り返します。', 10, { unit: 'width' });
+    expect(lines).toEqual(['日本語のテ', 'キストを折', 'り返しま', 'す。']);
+    lines.forEach(line => expect(new GCString(line).displayWidth).toBeLessThanOrEqual(10));
+  });
+
+  test('should break Thai text at word boundaries', () => {
+    const lines = wrap('สวัสดีครับ ผมชื่อสมชาย', 8, { locale: 'th' });
+    expect(lines.join('')).toBe('สวัสดีครับผมชื่อสมชาย');
+    expect(lines.length).toBeGreaterThan(2);
+    lines.forEach(line => expect(new GCString(line).length).toBeLessThanOrEqual(8));
+  });
+
+  describe('overlong words', () => {
+    test('should let them overflow by default', () => {
+      expect(wrap('Supercalifragilistic is long', 8)).toEqual(['Supercalifragilistic', 'is long']);
+    });
+
+    test('should hard-break them at grapheme boundaries with hard: true', () => {
+      expect(wrap('Supercalifragilistic is long', 8, { hard: true }))
+        .toEqual(['Supercal', 'ifragili', 'stic is', 'long']);
+      expect(wrap('👍🏽👍🏽👍🏽👍🏽👍🏽', 2, { hard: true })).toEqual(['👍🏽👍🏽', '👍🏽👍🏽', '👍🏽']);
+    });
+
+    test('should place a grapheme wider than the line on its own line', () => {
+      expect(wrap('日本', 1, { unit: 'width', hard: true })).toEqual(['日', '本']);
+    });
+  });
+
+  describe('indent', () => {
+    test('should prefix every non-empty line and count toward the width', () => {
+      expect(wrap('one two three four', 10, { indent: '  ' })).toEqual(['  one two', '  three', '  four']);
+      expect(wrap('a\n\nb', 10, { indent: '> ' })).toEqual(['> a', '', '> b']);
+    });
+
+    test('should throw when the indent leaves no room', () => {
+      expect(() => wrap('text', 2, { indent: '  ' })).toThrow(RangeError);
+    });
+  });
+
+  test('should handle empty and whitespace-only strings', () => {
+    expect(wrap('', 5)).toEqual(['']);
+    expect(wrap('   ', 5)).toEqual(['']);
+  });
+
+  test('should throw for an invalid unit', () => {
+    expect(() => wrap('text', 5, { unit: 'bytes' })).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Jest tests for GCStringBuilder, which appends and inserts text
+ * while only re-segmenting the seams around the change.
+ */
+
+import { jest } from '@jest/globals';
+import GCString, { GCStringBuilder } from '../src/lib/gcu.js';
+
+describe('GCStringBuilder', () => {
+  test('should build an empty GCString by default', () => {
+    const gc = new GCStringBuilder().build();
+    expect(gc).toBeInstanceOf(GCString);
+    expect(gc.value).toBe('');
+    expect(gc.length).toBe(0);
+  });
+
+  test('should accept initial content', () => {
+    const builder = new GCStringBuilder('👋 Hi');
+    expect(builder.length).toBe(4);
+    expect(builder.codeUnitLength).toBe(5);
+    expect(builder.toString()).toBe('👋 Hi');
+  });
+
+  describe('append()', () => {
+    test('should append strings and GCStrings and support chaining', () => {
+      const gc = new GCStringBuilder()
+        .append('Hello')
+        .append(new GCString(' 👨‍👩‍👧‍👦'))
+        .build();
+      expect(gc.value).toBe('Hello 👨‍👩‍👧‍👦');
+      expect(gc.length).toBe(7);
+    });
+
+    test('should merge regional indicators appended separately into flags', () => {
+      const builder = new GCStringBuilder();
+      ['🇺', '🇸', '🇯', '🇵', '🇫'].forEach(ri => builder.append(ri));
+      expect(builder.build().graphemes).toEqual(['🇺🇸', '🇯🇵', '🇫']);
+    });
+
+    test('should join a trailing ZWJ with the next emoji', () => {
+      const builder = new GCStringBuilder('👨‍');
+      builder.append('👩').append('‍👧');
+      expect(builder.length).toBe(1);
+      expect(builder.build().graphemes).toEqual(['👨‍👩‍👧']);
+    });
+
+    test('should attach combining marks and modifiers to the previous grapheme', () => {
+      const builder = new GCStringBuilder('e').append('́').append('👍').append('🏽');
+      expect(builder.build().graphemes).toEqual(['é', '👍🏽']);
+    });
+
+    test('should keep CR LF together', () => {
+      expect(new GCStringBuilder('a\r').append('\nb').length).toBe(3);
+    });
+  });
+
+  describe('appendGraphemes()', () => {
+    test('should append arrays of graphemes and GCStrings', () => {
+      const builder = new GCStringBuilder('👋');
+      builder.appendGraphemes(['a', '👍🏽']).appendGraphemes(new GCString('🇺🇸!'));
+      expect(builder.build().graphemes).toEqual(['👋', 'a', '👍🏽', '🇺🇸', '!']);
+    });
+  });
+
+  describe('insert()', () => {
+    test('should insert before a grapheme index', () => {
+      const builder = new GCStringBuilder('👨‍👩‍👧‍👦World');
+      builder.insert(1, 'Hello ').insert(0, '>');
+      expect(builder.build().value).toBe('>👨‍👩‍👧‍👦Hello World');
+      expect(builder.length).toBe(13);
+    });
+
+    test('should merge inserted text with surrounding clusters', () => {
+      expect(new GCStringBuilder('👨👩').insert(1, '‍').build().graphemes).toEqual(['👨‍👩']);
+      expect(new GCStringBuilder('ab').insert(1, '́').build().graphemes).toEqual(['á', 'b']);
+    });
+
+    test('should re-pair following regional indicators', () => {
+      const builder = new GCStringBuilder('🇺🇸🇯🇵');
+      builder.insert(0, '🇫');
+      expect(builder.build().graphemes).toEqual(['🇫🇺', '🇸🇯', '🇵']);
+    });
+
+    test('should merge inserted text with the clusters after it', () => {
+      const cases = [
+        ['\u200D\u{1F469}', '\u{1F468}', ['\u{1F468}\u200D\u{1F469}']],
+        ['\u0301\u200D\u{1F469}x', '\u{1F468}', ['\u{1F468}\u0301\u200D\u{1F469}', 'x']],
+        ['\u094D\u0937', '\u0915', ['\u0915\u094D\u0937']]
+      ];
+      for (const [initial, inserted, expected] of cases) {
+        const built = new GCStringBuilder(initial).insert(0, inserted).build();
+        expect(built.graphemes).toEqual(expected);
+        expect(built.graphemes).toEqual(new GCString(built.value).graphemes);
+        expect(built.length).toBe(expected.length);
+      }
+    });
+
+    test('should match a fresh segmentation after repeated inserts', () => {
+      const builder = new GCStringBuilder('\u{1F1FA}\u{1F1F8}ab\u200D\u{1F469}c');
+      builder.insert(2, '\u{1F468}').insert(0, '\u{1F1EF}').insert(4, 'x\u200D')
+        .insert(builder.length - 1, '\u0915\u094D').append('\u0937');
+      const built = builder.build();
+      expect(built.graphemes).toEqual(new GCString(built.value).graphemes);
+      expect(builder.codeUnitLength).toBe(built.value.length);
+    });
+
+    test('should append when inserting at the end', () => {
+      expect(new GCStringBuilder('🇺').insert(1, '🇸').length).toBe(1);
+    });
+
+    test('should throw for out of range indices', () => {
+      expect(() => new GCStringBuilder('ab').insert(3, 'x')).toThrow(RangeError);
+      expect(() => new GCStringBuilder('ab').insert(-1, 'x')).toThrow(RangeError);
+    });
+  });
+
+  describe('build()', () => {
+    test('should produce the same segmentation as a fresh GCString', () => {
+      const pieces = ['👨', '‍', '👩', '🇬', '🇧', 'e', '́', '\r', '\n', '각', '👍', '🏽'];
+      const builder = new GCStringBuilder();
+      pieces.forEach(p => builder.append(p));
+      builder.insert(2, '🇫').insert(0, '"');
+      const built = builder.build();
+      const fresh = new GCString(built.value);
+      expect(built.graphemes).toEqual(fresh.graphemes);
+      expect(built.length).toBe(fresh.length);
+    });
+
+    test('should not re-segment the built string', () => {
+      const builder = new GCStringBuilder('👋 Hello');
+      const spy = jest.spyOn(Intl.Segmenter.prototype, 'segment');
+      const gc = builder.build();
+      expect(gc.length).toBe(7);
+      expect(gc.charAt(0)).toBe('👋');
+      expect(spy).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+
+    test('should leave the builder usable afterwards', () => {
+      const builder = new GCStringBuilder('a');
+      const first = builder.build();
+      builder.append('b');
+      expect(first.value).toBe('a');
+      expect(builder.build().value).toBe('ab');
+    });
+  });
+});